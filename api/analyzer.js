@@ -1,5 +1,16 @@
 const _ = require('lodash');
 const { v4: uuidv4 } = require('uuid');
+const SchemaNormalizer = require('./services/schemaNormalizer');
+const IssueCatalog = require('./services/issueCatalog');
+
+const schemaNormalizer = new SchemaNormalizer();
+const issueCatalog = new IssueCatalog();
+
+// Issue rule for each schema type checkMissingSchemas can report
+const MISSING_SCHEMA_RULES = {
+  WebPage: 'coverage.missing-webpage',
+  Organization: 'coverage.missing-organization'
+};
 
 // Schema ranking based on SEO importance (from original extension)
 const SCHEMA_RANKS = {
@@ -67,7 +78,10 @@ class SchemaAnalyzer {
         return crawlerResult;
       }
 
-      const schemas = crawlerResult.results.schemas;
+      // Flatten @graph and embedded entities so every analyzer sees the same node set
+      const schemas = schemaNormalizer.normalize(crawlerResult.results.schemas);
+      crawlerResult.results.schemas = schemas;
+      crawlerResult.results.basic_info.schemas_found = schemas.length;
       
       // Perform comprehensive analysis
       const analysis = {
@@ -334,43 +348,38 @@ class SchemaAnalyzer {
 
     try {
       // Basic schema validation
-      const schemasWithoutId = schemas.filter(schema => !schema['@id']);
-      if (schemasWithoutId.length > 0) {
-        recommendations.push({
-          type: 'Missing @id Properties',
-          priority: 'high',
-          message: `${schemasWithoutId.length} schemas are missing @id properties. Add consistent @id values using the pattern "schema:EntityType".`,
-          example: '"@id": "schema:WebPageElement"',
-          affectedSchemas: schemasWithoutId.length,
-          code: this.generateIdFix(schemasWithoutId[0])
-        });
-      }
+      schemas.filter(schema => !schema['@id']).forEach(schema => {
+        const type = this.getSchemaType(schema) || 'WebPageElement';
+        recommendations.push(issueCatalog.create('id.missing', {
+          ...issueCatalog.locate(schema),
+          page: url,
+          message: `${type} is missing an @id property. Add consistent @id values using the pattern "schema:EntityType".`,
+          fix: this.generateIdFix(schema) || '"@id": "schema:WebPageElement"'
+        }));
+      });
 
       // Check for missing important schemas
       const foundTypes = schemas.map(s => this.getSchemaType(s));
       const missingImportant = this.checkMissingSchemas(foundTypes, url);
       
       missingImportant.forEach(missing => {
-        recommendations.push({
-          type: `Missing Schema: ${missing.type}`,
-          priority: 'high',
+        recommendations.push(issueCatalog.create(MISSING_SCHEMA_RULES[missing.type], {
+          page: url,
           message: missing.reason,
-          example: missing.example,
-          affectedSchemas: 0
-        });
+          fix: missing.example
+        }));
       });
 
       // Check @id consistency
       const consistency = this.analyzeIdConsistency(schemas);
       consistency.inconsistentTypes.forEach((ids, schemaType) => {
-        recommendations.push({
-          type: 'Inconsistent @id Usage',
-          priority: 'high',
+        recommendations.push(issueCatalog.create('id.inconsistent', {
+          page: url,
+          entity: { type: schemaType, id: null },
           message: `The schema type "${schemaType}" uses ${ids.length} different @id values. Use a single consistent @id across all pages.`,
-          example: `"@id": "schema:${schemaType}"`,
-          details: `Found @ids: ${ids.join(', ')}`,
-          affectedSchemas: ids.length
-        });
+          fix: `"@id": "schema:${schemaType}"`,
+          context: { ids }
+        }));
       });
 
       // Check schema location recommendations
@@ -379,36 +388,24 @@ class SchemaAnalyzer {
         if (LOCATION_RECOMMENDATIONS[type]) {
           const rec = LOCATION_RECOMMENDATIONS[type];
           if (!this.isOnRecommendedPage(type, url)) {
-            recommendations.push({
-              type: `Schema Location: ${type}`,
-              priority: 'medium',
-              message: rec.reason,
-              example: rec.example,
-              affectedSchemas: 1
-            });
+            recommendations.push(issueCatalog.create('coverage.unexpected-page', {
+              ...issueCatalog.locate(schema),
+              page: url,
+              message: `${rec.reason} Suggested page: ${rec.suggestedPage}.`,
+              fix: rec.example
+            }));
           }
         }
       });
 
-      // Sort by priority
-      const priorityOrder = { 'high': 1, 'medium': 2, 'low': 3 };
-      recommendations.sort((a, b) => {
-        const aPriority = priorityOrder[a.priority] || 3;
-        const bPriority = priorityOrder[b.priority] || 3;
-        return aPriority - bPriority;
-      });
-
-      return recommendations;
+      return issueCatalog.sort(recommendations);
 
     } catch (error) {
       console.error('Error generating recommendations:', error);
-      return [{
-        type: 'Analysis Error',
-        priority: 'high',
-        message: `Error analyzing schemas: ${error.message}`,
-        example: 'Please check the console for more details.',
-        affectedSchemas: 0
-      }];
+      return [issueCatalog.create('analysis.error', {
+        page: url,
+        message: `Error analyzing schemas: ${error.message}`
+      })];
     }
   }
 
@@ -1,37 +1,15 @@
-const puppeteer = require('puppeteer');
-const cheerio = require('cheerio');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
+const PageFetcher = require('./services/pageFetcher');
+const UrlCanonicalizer = require('./services/urlCanonicalizer');
 
 class SchemaCrawler {
   constructor() {
-    this.browser = null;
+    this.fetcher = new PageFetcher();
     this.activeScanners = new Map();
   }
 
-  async initBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
-    }
-    return this.browser;
-  }
-
   async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    await this.fetcher.close();
   }
 
   // Quick analysis for health checks
@@ -39,48 +17,16 @@ class SchemaCrawler {
     try {
       console.log(`🔍 Quick analyzing: ${url}`);
       
-      const browser = await this.initBrowser();
-      const page = await browser.newPage();
-      
-      await page.setUserAgent('Mozilla/5.0 (compatible; SchemaAnalyzer/1.0)');
-      
-      const response = await page.goto(url, {
-        waitUntil: 'networkidle0',
-        timeout: 10000
-      });
-
-      if (!response.ok()) {
-        throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
-      }
+      const page = await this.fetcher.fetch(url);
 
       // Extract basic schema info
-      const schemas = await page.evaluate(() => {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-        const results = [];
-        
-        scripts.forEach((script, index) => {
-          try {
-            const data = JSON.parse(script.textContent);
-            const schemaArray = Array.isArray(data) ? data : [data];
-            
-            schemaArray.forEach(schema => {
-              if (schema && schema['@type']) {
-                results.push({
-                  type: Array.isArray(schema['@type']) ? schema['@type'][0] : schema['@type'],
-                  hasId: !!schema['@id'],
-                  id: schema['@id'] || null
-                });
-              }
-            });
-          } catch (e) {
-            console.warn(`Invalid JSON-LD in script ${index}`);
-          }
-        });
-        
-        return results;
-      });
-
-      await page.close();
+      const schemas = page.schemas
+        .filter(schema => schema['@type'])
+        .map(schema => ({
+          type: Array.isArray(schema['@type']) ? schema['@type'][0] : schema['@type'],
+          hasId: !!schema['@id'],
+          id: schema['@id'] || null
+        }));
 
       // Quick analysis
       const schemaCount = schemas.length;
@@ -178,55 +124,7 @@ class SchemaCrawler {
     try {
       console.log(`🔍 Full analysis starting for: ${url}`);
       
-      const browser = await this.initBrowser();
-      const page = await browser.newPage();
-      
-      await page.setUserAgent('Mozilla/5.0 (compatible; SchemaAnalyzer/1.0)');
-      
-      const startTime = Date.now();
-      const response = await page.goto(url, {
-        waitUntil: 'networkidle0',
-        timeout: 30000
-      });
-
-      if (!response.ok()) {
-        throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
-      }
-
-      // Extract comprehensive data
-      const pageData = await page.evaluate(() => {
-        return {
-          title: document.title,
-          description: document.querySelector('meta[name="description"]')?.content || '',
-          canonical: document.querySelector('link[rel="canonical"]')?.href || window.location.href,
-          h1: document.querySelector('h1')?.textContent || '',
-          schemas: (() => {
-            const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-            const results = [];
-            
-            scripts.forEach((script, index) => {
-              try {
-                const data = JSON.parse(script.textContent);
-                const schemaArray = Array.isArray(data) ? data : [data];
-                
-                schemaArray.forEach(schema => {
-                  if (schema && typeof schema === 'object') {
-                    results.push(schema);
-                  }
-                });
-              } catch (e) {
-                console.warn(`Invalid JSON-LD in script ${index}`);
-              }
-            });
-            
-            return results;
-          })()
-        };
-      });
-
-      await page.close();
-
-      const analysisTime = (Date.now() - startTime) / 1000;
+      const page = await this.fetcher.fetch(url, { strategy: options.strategy, archive: options.archive, profile: options.render_profile, wait: options.wait });
 
       const result = {
         scan_id: scanId,
@@ -235,19 +133,22 @@ class SchemaCrawler {
         type: 'single_page',
         status: 'completed',
         metadata: {
-          user_agent: 'SchemaAnalyzer/1.0',
-          scan_duration: analysisTime,
+          user_agent: this.fetcher.userAgent,
+          fetch_method: page.method,
+          scan_duration: page.loadTime,
           options_used: options
         },
         results: {
           basic_info: {
-            page_title: pageData.title,
-            page_description: pageData.description,
-            canonical_url: pageData.canonical,
-            schemas_found: pageData.schemas.length,
-            load_time: analysisTime
+            page_title: page.title,
+            page_description: page.description,
+            canonical_url: page.canonical,
+            schemas_found: page.schemas.length,
+            load_time: page.loadTime,
+            wait: page.wait
           },
-          schemas: pageData.schemas,
+          schemas: page.schemas,
+          syntax_errors: page.syntaxErrors,
           // These will be filled by analyzer.js
           seo_score: null,
           entities: null,
@@ -256,7 +157,7 @@ class SchemaCrawler {
         }
       };
 
-      console.log(`✅ Page analysis completed: ${pageData.schemas.length} schemas found`);
+      console.log(`✅ Page analysis completed: ${page.schemas.length} schemas found`);
       return result;
 
     } catch (error) {
@@ -293,9 +194,10 @@ class SchemaCrawler {
     console.log(`🗺️ Starting site scan ${scanId} for: ${startUrl}`);
     
     try {
-      const browser = await this.initBrowser();
+      // Links are visited in their canonical form, so URL variants of one page count once
+      const canonicalizer = new UrlCanonicalizer(options.canonicalization);
       const visitedUrls = new Set();
-      const toVisit = [{ url: startUrl, depth: 0 }];
+      const toVisit = [{ url: canonicalizer.normalize(startUrl), depth: 0 }];
       const results = [];
 
       while (toVisit.length > 0 && results.length < maxPages) {
@@ -308,12 +210,14 @@ class SchemaCrawler {
         visitedUrls.add(url);
         
         try {
-          const pageResult = await this.scanSinglePage(browser, url);
-          results.push(pageResult);
+          const page = await this.fetcher.fetch(url, { strategy: options.strategy, archive: options.archive, profile: options.render_profile, wait: options.wait });
+          results.push(page);
           
-          // Extract internal links if not at max depth
+          // Follow internal links if not at max depth
           if (depth < crawlDepth) {
-            const links = await this.extractInternalLinks(browser, url, startUrl);
+            const links = page.internalLinks
+              .filter(link => !/\.(pdf|jpg|jpeg|png|gif|css|js|xml|ico|zip)$/i.test(new URL(link).pathname))
+              .map(link => canonicalizer.normalize(link));
             links.forEach(link => {
               if (!visitedUrls.has(link)) {
                 toVisit.push({ url: link, depth: depth + 1 });
@@ -337,86 +241,6 @@ class SchemaCrawler {
       console.error(`Site scan ${scanId} failed:`, error);
     }
   }
-
-  async scanSinglePage(browser, url) {
-    const page = await browser.newPage();
-    
-    try {
-      await page.goto(url, { waitUntil: 'networkidle0', timeout: 10000 });
-      
-      const pageData = await page.evaluate(() => {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-        const schemas = [];
-        
-        scripts.forEach((script) => {
-          try {
-            const data = JSON.parse(script.textContent);
-            const schemaArray = Array.isArray(data) ? data : [data];
-            schemas.push(...schemaArray);
-          } catch (e) {
-            // Skip invalid JSON
-          }
-        });
-        
-        return {
-          title: document.title,
-          schemas: schemas.filter(s => s && s['@type'])
-        };
-      });
-      
-      return {
-        url,
-        title: pageData.title,
-        schemas: pageData.schemas,
-        scanned_at: new Date().toISOString()
-      };
-      
-    } finally {
-      await page.close();
-    }
-  }
-
-  async extractInternalLinks(browser, currentUrl, baseUrl) {
-    const page = await browser.newPage();
-    
-    try {
-      await page.goto(currentUrl, { waitUntil: 'networkidle0', timeout: 10000 });
-      
-      const links = await page.evaluate((baseUrl) => {
-        const anchors = document.querySelectorAll('a[href]');
-        const urls = new Set();
-        
-        anchors.forEach(anchor => {
-          try {
-            const href = anchor.getAttribute('href');
-            const url = new URL(href, window.location.href);
-            
-            // Only include same-domain links
-            if (url.origin === new URL(baseUrl).origin) {
-              // Clean URL (remove fragments and query params)
-              url.hash = '';
-              url.search = '';
-              
-              // Skip common non-content URLs
-              const path = url.pathname.toLowerCase();
-              if (!path.match(/\.(pdf|jpg|jpeg|png|gif|css|js|xml|ico|zip)$/)) {
-                urls.add(url.href);
-              }
-            }
-          } catch (e) {
-            // Skip invalid URLs
-          }
-        });
-        
-        return Array.from(urls);
-      }, baseUrl);
-      
-      return links;
-      
-    } finally {
-      await page.close();
-    }
-  }
 }
 
 // Create singleton instance
@@ -2,6 +2,7 @@
 // מבוסס על הקוד המקורי מ-site-schema-mapper.js + results.js
 
 const { v4: uuidv4 } = require('uuid');
+const SchemaNormalizer = require('./services/schemaNormalizer');
 
 /**
  * EntityMapper - מנוע ניתוח קשרים בין entities
@@ -15,6 +16,7 @@ class EntityMapper {
         this.brokenReferences = new Map(); // @id -> array of broken refs
         this.entityTypes = new Map(); // type -> instances count
         this.crossPageConnections = new Map(); // track cross-page relationships
+        this.normalizer = new SchemaNormalizer();
         
         // Entity patterns מבוסס על הקוד המקורי
         this.entityPatterns = {
@@ -52,6 +54,9 @@ class EntityMapper {
         
         this.reset();
         
+        // נרמול @graph ו-entities מקוננים לפני המיפוי
+        schemas = this.normalizer.normalize(schemas);
+        
         const analysis = {
             totalEntities: 0,
             entitiesWithId: 0,
@@ -451,7 +456,8 @@ class EntityMapper {
         // יצירת edges
         this.connections.forEach((connectedIds, fromId) => {
             connectedIds.forEach(toId => {
-                if (fromId < toId && this.schemaMap.has(toId)) { // למנוע duplicates
+                // Broken references have connections too; only edges between mapped entities are drawn
+                if (fromId < toId && this.schemaMap.has(fromId) && this.schemaMap.has(toId)) { // למנוע duplicates
                     const fromEntity = this.schemaMap.get(fromId);
                     const toEntity = this.schemaMap.get(toId);
                     
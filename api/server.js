@@ -2,9 +2,59 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
+const SchemaNormalizer = require('./services/schemaNormalizer');
+const JsonLdProcessor = require('./services/jsonLdProcessor');
+const JsonLdDiagnostics = require('./services/jsonLdDiagnostics');
+const RenderComparator = require('./services/renderComparator');
+const VocabularyValidator = require('./services/vocabularyValidator');
+const RichResultsEvaluator = require('./services/richResultsEvaluator');
+const ValueValidator = require('./services/valueValidator');
+const ContentConsistencyChecker = require('./services/contentConsistencyChecker');
+const CustomRuleEngine = require('./services/customRuleEngine');
+const IssueCatalog = require('./services/issueCatalog');
+const SuppressionStore = require('./services/suppressionStore');
+const PageFetcher = require('./services/pageFetcher');
+const WebCrawler = require('./services/crawler');
+const UrlCanonicalizer = require('./services/urlCanonicalizer');
+const CrawlStore = require('./services/crawlStore');
+const EntityMapper = require('./entity-mapper');
+const ConsistencyAnalyzer = require('../consistency-analyzer');
+const config = require('../config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const schemaNormalizer = new SchemaNormalizer();
+const jsonLdProcessor = new JsonLdProcessor();
+const jsonLdDiagnostics = new JsonLdDiagnostics();
+const renderComparator = new RenderComparator();
+const vocabularyValidator = new VocabularyValidator({ jsonLd: jsonLdProcessor });
+const richResultsEvaluator = new RichResultsEvaluator({ vocabulary: vocabularyValidator });
+const valueValidator = new ValueValidator({ vocabulary: vocabularyValidator });
+const contentConsistencyChecker = new ContentConsistencyChecker({ vocabulary: vocabularyValidator });
+const customRuleEngine = new CustomRuleEngine({ jsonLd: jsonLdProcessor, vocabulary: vocabularyValidator });
+const issueCatalog = new IssueCatalog();
+const suppressionStore = new SuppressionStore({ catalog: issueCatalog });
+const pageFetcher = new PageFetcher({ contentChecker: contentConsistencyChecker });
+const crawlStore = new CrawlStore();
+
+// Strategies a request may pick; local files are only read by the crawler
+const API_FETCH_STRATEGIES = ['auto', 'browser', 'http', 'replay'];
+const SCAN_PRIORITIES = ['discovery', 'lastmod'];
+
+// Site scans started since the server came up, and the results of those that finished
+const siteScans = new Map();
+const siteScanResults = new Map();
+
+// Scans still marked running were cut off when the server last stopped; they can be resumed
+crawlStore.markInterrupted().forEach(state => {
+  siteScans.set(state.scanId, {
+    scanId: state.scanId,
+    startUrl: state.startUrl,
+    status: 'interrupted',
+    startedAt: state.startedAt,
+    interruptedAt: state.interruptedAt
+  });
+});
 
 // Middleware
 app.use(helmet({
@@ -45,10 +95,80 @@ app.get('/api/health', async (req, res) => {
     health.environment.puppeteer_error = error.message;
   }
 
+  health.browser_pool = pageFetcher.pool.stats();
+
   log('Health check requested', health);
   res.status(200).json(health);
 });
 
+// Custom rules loaded from the rules directory; ?reload=true re-reads the files
+app.get('/api/rules', (req, res) => {
+  if (req.query.reload === 'true') {
+    customRuleEngine.load();
+  }
+
+  res.json({
+    dir: customRuleEngine.dir,
+    rules: customRuleEngine.listRules(),
+    load_errors: customRuleEngine.loadErrors
+  });
+});
+
+// Accepted issues for a site (hostname); suppressed issues are listed but not scored
+app.get('/api/sites/:site/suppressions', (req, res) => {
+  try {
+    const site = suppressionStore.siteKey(req.params.site);
+    res.json({ site, suppressions: suppressionStore.list(site) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/sites/:site/suppressions', (req, res) => {
+  try {
+    const suppression = suppressionStore.add(req.params.site, req.body);
+    log(`Suppression added for ${req.params.site}: ${suppression.rule_id}`);
+    res.status(201).json(suppression);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/sites/:site/suppressions/:id', (req, res) => {
+  try {
+    if (!suppressionStore.remove(req.params.site, req.params.id)) {
+      return res.status(404).json({ error: 'Suppression not found', id: req.params.id });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Baseline file export/import, so CI can fail only on issues that are not in the baseline
+app.get('/api/sites/:site/baseline', (req, res) => {
+  try {
+    const file = suppressionStore.exportBaseline(req.params.site);
+    res.attachment(`${file.site}.baseline.json`).json(file);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/sites/:site/baseline', (req, res) => {
+  try {
+    const data = suppressionStore.importBaseline(req.params.site, req.body);
+    log(`Baseline imported for ${data.site}: ${data.suppressions.length} suppressions, ${data.baseline ? data.baseline.issues.length : 0} known issues`);
+    res.json({
+      site: data.site,
+      suppressions: data.suppressions.length,
+      known_issues: data.baseline ? data.baseline.issues.length : 0
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Test endpoint to check specific URL without Puppeteer
 app.post('/api/test-fetch', async (req, res) => {
   try {
@@ -91,7 +211,7 @@ app.post('/api/test-fetch', async (req, res) => {
 // Simplified analysis with fallback methods
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, options = {} } = req.body;
     
     if (!url) {
       return res.status(400).json({
@@ -108,26 +228,50 @@ app.post('/api/analyze', async (req, res) => {
       });
     }
 
+    if (options.strategy && !API_FETCH_STRATEGIES.includes(options.strategy)) {
+      return res.status(400).json({
+        error: `Unknown strategy "${options.strategy}" (expected ${API_FETCH_STRATEGIES.join(', ')})`
+      });
+    }
+
+    const renderProfiles = Object.keys(config.crawler.interception.profiles);
+    if (options.render_profile && !renderProfiles.includes(options.render_profile)) {
+      return res.status(400).json({
+        error: `Unknown render_profile "${options.render_profile}" (expected ${renderProfiles.join(', ')})`
+      });
+    }
+
+    try {
+      pageFetcher.resolveWait(options.wait);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
     log(`Starting analysis for: ${url}`);
     const scanId = `scan-${Date.now()}`;
     const startTime = Date.now();
 
-    let analysisResult;
+    const analysisResult = await pageFetcher.fetch(url, {
+      strategy: options.strategy,
+      archive: options.archive,
+      profile: options.render_profile,
+      wait: options.wait
+    });
+    if (analysisResult.fallback) {
+      log(`Browser rendering failed: ${analysisResult.fallback.error}, used plain HTTP`);
+    }
+    log(`Page fetched with ${analysisResult.method}`);
 
-    // Try Puppeteer first, then fallback to simple fetch
-    try {
-      analysisResult = await analyzeWithPuppeteer(url);
-      log('Analysis completed with Puppeteer');
-    } catch (puppeteerError) {
-      log(`Puppeteer failed: ${puppeteerError.message}, trying fallback`);
-      
-      try {
-        analysisResult = await analyzeWithFetch(url);
-        log('Analysis completed with fetch fallback');
-      } catch (fetchError) {
-        log(`Fetch fallback also failed: ${fetchError.message}`);
-        throw new Error(`Both Puppeteer and fetch failed. Puppeteer: ${puppeteerError.message}, Fetch: ${fetchError.message}`);
-      }
+    // Expand against the bundled schema.org context so analyzers read canonical terms;
+    // custom rules keep the markup as authored
+    analysisResult.sourceSchemas = analysisResult.schemas;
+    analysisResult.schemas = await jsonLdProcessor.process(analysisResult.schemas);
+
+    let renderComparison;
+    if (options.compare_render) {
+      renderComparison = await compareRendering(url, analysisResult);
     }
 
     const scanTime = (Date.now() - startTime) / 1000;
@@ -138,19 +282,10 @@ app.post('/api/analyze', async (req, res) => {
       url: url,
       status: 'completed',
       method: analysisResult.method,
-      results: {
-        basic_info: {
-          page_title: analysisResult.title,
-          page_description: analysisResult.description,
-          canonical_url: analysisResult.canonical,
-          schemas_found: analysisResult.schemas.length,
-          load_time: scanTime
-        },
-        seo_score: calculateSEOScore(analysisResult.schemas),
-        schemas: analysisResult.schemas,
-        recommendations: generateRecommendations(analysisResult.schemas, url),
-        consistency_analysis: analyzeConsistency(analysisResult.schemas)
-      }
+      results: buildResults(analysisResult, url, scanTime, {
+        renderComparison,
+        updateBaseline: options.update_baseline === true
+      })
     };
 
     log(`Analysis completed successfully: ${analysisResult.schemas.length} schemas found`);
@@ -166,212 +301,609 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
-// Puppeteer analysis function
-async function analyzeWithPuppeteer(url) {
-  const puppeteer = require('puppeteer');
-  
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--no-first-run',
-      '--no-zygote',
-      '--disable-gpu',
-      '--disable-extensions'
-    ]
-  });
-
-  const page = await browser.newPage();
-  
+// Analyze pasted HTML or JSON-LD documents before they are deployed
+app.post('/api/analyze-html', async (req, res) => {
   try {
-    await page.setUserAgent('Mozilla/5.0 (compatible; SchemaAnalyzer/1.0)');
-    
-    const response = await page.goto(url, {
-      waitUntil: 'networkidle0',
-      timeout: 20000
-    });
+    const { html, jsonld, url } = req.body;
 
-    if (!response.ok()) {
-      throw new Error(`HTTP ${response.status()}: ${response.statusText()}`);
+    if (!html && !jsonld) {
+      return res.status(400).json({
+        error: 'Either html or jsonld is required'
+      });
     }
 
-    const result = await page.evaluate(() => {
-      const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-      const schemas = [];
-      
-      scripts.forEach((script, index) => {
-        try {
-          const content = script.textContent.trim();
-          if (content) {
-            const data = JSON.parse(content);
-            const schemaArray = Array.isArray(data) ? data : [data];
-            
-            schemaArray.forEach(schema => {
-              if (schema && schema['@type']) {
-                schemas.push(schema);
-              }
-            });
-          }
-        } catch (e) {
-          console.warn(`Invalid JSON-LD in script ${index}:`, e.message);
-        }
-      });
-      
-      return {
-        title: document.title || 'No title',
-        description: document.querySelector('meta[name="description"]')?.content || '',
-        canonical: document.querySelector('link[rel="canonical"]')?.href || window.location.href,
-        schemas: schemas,
-        method: 'puppeteer'
-      };
+    // The notional URL only resolves relative references; it is never fetched
+    if (url) {
+      try {
+        new URL(url);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid URL format'
+        });
+      }
+    }
+
+    log(`Starting pasted ${html ? 'HTML' : 'JSON-LD'} analysis${url ? ` for: ${url}` : ''}`);
+    const scanId = `scan-${Date.now()}`;
+    const startTime = Date.now();
+
+    const analysisResult = html
+      ? pageFetcher.extract(String(html), url || '')
+      : { ...extractFromJsonLd(jsonld), method: 'json-ld' };
+
+    analysisResult.sourceSchemas = analysisResult.schemas;
+    analysisResult.schemas = await jsonLdProcessor.process(analysisResult.schemas);
+
+    const result = {
+      scan_id: scanId,
+      timestamp: new Date().toISOString(),
+      url: url || null,
+      status: 'completed',
+      method: analysisResult.method,
+      results: buildResults(analysisResult, url || '', (Date.now() - startTime) / 1000)
+    };
+
+    log(`Pasted analysis completed: ${analysisResult.schemas.length} schemas found`);
+    res.json(result);
+
+  } catch (error) {
+    log(`Pasted analysis failed: ${error.message}`, error.stack);
+    res.status(500).json({
+      error: 'Analysis failed',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  }
+});
 
-    await browser.close();
-    return result;
-    
+// Site-wide scan; it runs in the background and is followed with /api/progress and /api/results
+app.post('/api/scan-site', (req, res) => {
+  const { start_url: startUrl, options = {} } = req.body;
+
+  const error = validateScanOptions(startUrl, options);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const scanId = `scan-${Date.now()}`;
+  log(`Starting site scan ${scanId} for: ${startUrl}`, options);
+
+  // The crawler reads camelCase for the discovery switches
+  const crawler = new WebCrawler({ fetcher: pageFetcher, store: crawlStore, scanId });
+  const scanOptions = { ...options, includeSitemaps: options.include_sitemaps };
+  runSiteScan(scanId, startUrl, crawler, () => crawler.analyzeSite(startUrl, scanOptions));
+
+  res.status(202).json({
+    scan_id: scanId,
+    status: 'processing',
+    progress_url: `/api/progress/${scanId}`,
+    results_url: `/api/results/${scanId}`
+  });
+});
+
+// Scans that stopped before finishing (restart, crash or error), with how far they got
+app.get('/api/scans/interrupted', (req, res) => {
+  const scans = crawlStore.list()
+    .filter(state => ['interrupted', 'failed'].includes(state.status))
+    .filter(state => siteScans.get(state.scanId)?.status !== 'processing')
+    .map(state => ({
+      scan_id: state.scanId,
+      start_url: state.startUrl,
+      status: state.status,
+      phase: state.phase,
+      started_at: state.startedAt,
+      stopped_at: state.interruptedAt || state.updatedAt,
+      scanned: state.counts.scanned,
+      failed: state.counts.failed,
+      queued: state.counts.queued,
+      resume_url: `/api/scans/${state.scanId}/resume`
+    }));
+
+  res.json({ scans });
+});
+
+// Continue an interrupted scan from its saved queue, with its original options
+app.post('/api/scans/:scanId/resume', (req, res) => {
+  const { scanId } = req.params;
+
+  if (siteScans.get(scanId)?.status === 'processing') {
+    return res.status(409).json({ error: 'Scan is already running', scan_id: scanId });
+  }
+
+  let state = null;
+  try {
+    state = crawlStore.loadState(scanId);
+  } catch (error) {
+    // Not a scan ID, so there is nothing saved under it
+  }
+  if (!state) {
+    return res.status(404).json({ error: 'No saved crawl for this scan', scan_id: scanId });
+  }
+
+  log(`Resuming site scan ${scanId} for: ${state.startUrl} (${state.counts.scanned} pages done, ${state.counts.queued} queued)`);
+  const crawler = new WebCrawler({ fetcher: pageFetcher, store: crawlStore, scanId });
+  runSiteScan(scanId, state.startUrl, crawler, () => crawler.resumeSite(scanId));
+
+  res.status(202).json({
+    scan_id: scanId,
+    status: 'processing',
+    resumed_from: state.counts,
+    progress_url: `/api/progress/${scanId}`,
+    results_url: `/api/results/${scanId}`
+  });
+});
+
+app.get('/api/progress/:scanId', (req, res) => {
+  const scan = siteScans.get(req.params.scanId);
+  if (!scan) {
+    return res.status(404).json({ error: 'Scan not found', scan_id: req.params.scanId });
+  }
+
+  res.json({
+    scan_id: scan.scanId,
+    start_url: scan.startUrl,
+    status: scan.status,
+    started_at: scan.startedAt,
+    error: scan.error || null,
+    progress: scan.crawler ? scan.crawler.getProgress() : null
+  });
+});
+
+app.get('/api/results/:scanId', (req, res) => {
+  const result = siteScanResults.get(req.params.scanId);
+  if (result) {
+    return res.json(result);
+  }
+
+  const scan = siteScans.get(req.params.scanId);
+  if (!scan) {
+    return res.status(404).json({ error: 'Scan not found', scan_id: req.params.scanId });
+  }
+
+  res.status(202).json({
+    scan_id: scan.scanId,
+    status: scan.status,
+    error: scan.error || null,
+    progress_url: `/api/progress/${scan.scanId}`
+  });
+});
+
+// Checked before the scan starts, since its errors would otherwise only show up in the background
+function validateScanOptions(startUrl, options) {
+  if (!startUrl) return 'start_url is required';
+  try {
+    if (!/^https?:$/.test(new URL(startUrl).protocol)) return 'start_url must be an http(s) URL';
   } catch (error) {
-    await browser.close();
-    throw error;
+    return 'Invalid start_url format';
   }
+
+  if (options.max_pages !== undefined &&
+      !(Number.isInteger(options.max_pages) && options.max_pages > 0 && options.max_pages <= config.crawler.maxPages)) {
+    return `max_pages must be a whole number from 1 to ${config.crawler.maxPages}`;
+  }
+  if (options.strategy && !API_FETCH_STRATEGIES.includes(options.strategy)) {
+    return `Unknown strategy "${options.strategy}" (expected ${API_FETCH_STRATEGIES.join(', ')})`;
+  }
+  const renderProfiles = Object.keys(config.crawler.interception.profiles);
+  if (options.render_profile && !renderProfiles.includes(options.render_profile)) {
+    return `Unknown render_profile "${options.render_profile}" (expected ${renderProfiles.join(', ')})`;
+  }
+  if (options.prioritize && !SCAN_PRIORITIES.includes(options.prioritize)) {
+    return `Unknown prioritize "${options.prioritize}" (expected ${SCAN_PRIORITIES.join(', ')})`;
+  }
+
+  try {
+    pageFetcher.resolveWait(options.wait);
+    new UrlCanonicalizer(options.canonicalization);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
 }
 
-// Fetch fallback analysis function
-async function analyzeWithFetch(url) {
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; SchemaAnalyzer/1.0)'
+// Crawl in the background, then analyze every schema found and keep the result; crawl starts the crawler
+function runSiteScan(scanId, startUrl, crawler, crawl) {
+  const scan = {
+    scanId,
+    startUrl,
+    status: 'processing',
+    startedAt: siteScans.get(scanId)?.startedAt || new Date().toISOString(),
+    crawler
+  };
+  siteScans.set(scanId, scan);
+
+  setImmediate(async () => {
+    try {
+      const result = await crawl();
+      const siteAnalysis = await analyzeSite(result, startUrl);
+
+      siteScanResults.set(scanId, { ...result, scan_id: scanId, site_analysis: siteAnalysis });
+      // The results are kept, so there is nothing left to resume
+      crawlStore.remove(scanId);
+      scan.status = 'completed';
+      scan.completedAt = new Date().toISOString();
+      log(`Site scan completed: ${result.totalPages} pages, ${result.totalSchemas} schemas`);
+    } catch (error) {
+      scan.status = 'failed';
+      scan.error = error.message;
+      log(`Site scan failed: ${error.message}`, error.stack);
     }
   });
+}
+
+// The single-page pipeline run over every schema of the site, so scores and issues read the same
+async function analyzeSite(result, startUrl) {
+  const analysisResult = {
+    schemas: await jsonLdProcessor.process(result.schemas),
+    sourceSchemas: result.schemas,
+    syntaxErrors: result.pages.flatMap(page => (page.syntaxErrors || []).map(syntaxError => ({ ...syntaxError, page: page.url })))
+  };
+  const results = buildResults(analysisResult, startUrl, null);
+
+  // Entities and @id usage across pages, read from the page each schema was found on;
+  // pages an incremental scan reused are part of the set like any other
+  const entityAnalysis = await new EntityMapper().analyzeEntities(result.schemas);
+  const consistencyAnalyzer = new ConsistencyAnalyzer();
+  await consistencyAnalyzer.analyzeConsistency(result.schemas);
+
+  return {
+    schema_distribution: result.summary.schemaDistribution,
+    entity_ecosystem: entityAnalysis,
+    cross_page_consistency: consistencyAnalyzer.exportConsistencyData(),
+    seo_score: results.seo_score,
+    site_recommendations: results.recommendations,
+    suppressed: results.suppressed,
+    baseline: results.baseline,
+    custom_rules: results.custom_rules
+  };
+}
+
+// Shared scoring, recommendation and consistency pipeline for one analyzed document
+function buildResults(analysisResult, url, loadTime, { renderComparison, updateBaseline = false } = {}) {
+  const vocabularyValidation = vocabularyValidator.validate(analysisResult.schemas);
+  const valueValidation = valueValidator.validate(analysisResult.schemas);
+  const richResults = richResultsEvaluator.evaluate(analysisResult.schemas);
+  const customRules = customRuleEngine.evaluate(analysisResult.sourceSchemas || analysisResult.schemas, { url });
+
+  // Pasted JSON-LD has no page to compare against
+  const contentConsistency = analysisResult.visibleContent
+    ? contentConsistencyChecker.check(analysisResult.schemas, analysisResult.visibleContent)
+    : null;
+
+  const issues = issueCatalog.sort([
+    ...generateRecommendations(analysisResult.schemas, url, analysisResult.syntaxErrors, vocabularyValidation, richResults, valueValidation),
+    ...buildContentIssues(contentConsistency, analysisResult.schemas, url),
+    ...buildCustomRuleIssues(customRules, analysisResult.sourceSchemas || analysisResult.schemas, url),
+    ...(renderComparison?.depends_on_javascript ? buildRenderIssues(renderComparison, url) : [])
+  ]);
+
+  // Pasted documents without a page URL belong to no site, so nothing is suppressed
+  let review = { issues, suppressed: [], baseline: null };
+  if (/^https?:/.test(url)) {
+    review = suppressionStore.evaluate(issues, url);
+    if (updateBaseline) {
+      suppressionStore.updateBaseline(url, review.issues);
+      review = suppressionStore.evaluate(issues, url);
+    }
+  }
+
+  const results = {
+    basic_info: {
+      page_title: analysisResult.title,
+      page_description: analysisResult.description,
+      canonical_url: analysisResult.canonical,
+      schemas_found: analysisResult.schemas.length,
+      load_time: loadTime,
+      wait: analysisResult.wait || null
+    },
+    seo_score: calculateSEOScore(analysisResult.schemas, analysisResult.syntaxErrors, review.suppressed),
+    schemas: analysisResult.schemas,
+    syntax_errors: analysisResult.syntaxErrors,
+    vocabulary_validation: vocabularyValidation,
+    value_validation: valueValidation,
+    rich_results: richResults,
+    content_consistency: contentConsistency,
+    custom_rules: customRules,
+    recommendations: review.issues,
+    suppressed: review.suppressed,
+    baseline: review.baseline,
+    consistency_analysis: analyzeConsistency(analysisResult.schemas),
+    diagnostics: analysisResult.diagnostics || null
+  };
 
-  if (!response.ok()) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  if (renderComparison) {
+    results.render_comparison = renderComparison;
   }
 
-  const html = await response.text();
-  
-  // Simple regex-based schema extraction
-  const schemaRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>(.*?)<\/script>/gis;
+  return results;
+}
+
+// Compare the rendered result with the raw HTML served to non-rendering crawlers
+async function compareRendering(url, analysisResult) {
+  if (analysisResult.method !== 'browser') {
+    return {
+      status: 'unavailable',
+      message: 'Rendered analysis failed, so there is nothing to compare the raw HTML against'
+    };
+  }
+
+  try {
+    const staticResult = await pageFetcher.fetch(url, { strategy: 'http' });
+    const staticSchemas = await jsonLdProcessor.process(staticResult.schemas);
+
+    return {
+      status: 'completed',
+      ...renderComparator.compare(staticSchemas, analysisResult.schemas)
+    };
+  } catch (error) {
+    log(`Static fetch for render comparison failed: ${error.message}`);
+    return {
+      status: 'unavailable',
+      message: `Raw HTML could not be fetched: ${error.message}`
+    };
+  }
+}
+
+// One issue per entity that only exists, or only has its values, after JavaScript runs
+function buildRenderIssues(comparison, url) {
+  const advice = 'Crawlers that do not render pages will miss or misread this markup; serve it in the initial HTML.';
+  const describe = entity => ({
+    page: url,
+    entity: { type: [].concat(entity.type || []).join(', ') || null, id: entity.id },
+    path: entity.extracted_from?.path || null,
+    location: entity.extracted_from?.location || null
+  });
+
+  return [
+    ...comparison.only_rendered.map(entity => issueCatalog.create('rendering.javascript-dependent', {
+      ...describe(entity),
+      message: `${entity.type || 'Entity'} appears only after JavaScript runs. ${advice}`,
+      fix: JSON.stringify(entity.schema, null, 2)
+    })),
+    ...comparison.changed.map(entity => issueCatalog.create('rendering.javascript-dependent', {
+      ...describe(entity),
+      message: `${entity.type || 'Entity'} has values rewritten by JavaScript. ${advice}`,
+      context: { changes: entity.changes }
+    }))
+  ];
+}
+
+const CONTENT_MISMATCH_ADVICE = {
+  headline: 'Use the same title in the markup and the main heading.',
+  price: 'Marked-up prices must match the price shown to visitors.',
+  faq: 'Only mark up questions and answers that are visible on the page.',
+  rating: 'Show the same rating and review count that the markup declares.'
+};
+
+// One issue per mismatch, quoting the markup and page text side by side
+function buildContentIssues(contentConsistency, schemas, url) {
+  if (!contentConsistency) return [];
+
+  return contentConsistency.mismatches.map(mismatch => issueCatalog.create(`content.${mismatch.check}-mismatch`, {
+    page: pageOf(schemas[mismatch.schema_index], url),
+    entity: issueCatalog.describeEntity(schemas[mismatch.schema_index]),
+    path: mismatch.path,
+    location: mismatch.location,
+    message: `Markup "${mismatch.schema_value}" vs page ${mismatch.page_value === null ? '(not found)' : `"${mismatch.page_value}"`}. ${CONTENT_MISMATCH_ADVICE[mismatch.check]}`,
+    context: { schema_value: mismatch.schema_value, page_value: mismatch.page_value }
+  }));
+}
+
+const CUSTOM_RULE_SEVERITIES = { error: 'high', warning: 'medium', info: 'low' };
+
+// One issue per custom rule violation; schemas are the ones the rules were evaluated against
+function buildCustomRuleIssues(customRules, schemas, url) {
+  const rules = new Map(customRules.active_rules.map(rule => [rule.id, rule]));
+
+  return customRules.violations.map(violation => issueCatalog.create(`custom.${violation.rule_id}`, {
+    severity: CUSTOM_RULE_SEVERITIES[violation.severity],
+    title: `Custom Rule: ${violation.rule_id}`,
+    message: violation.message,
+    page: pageOf(schemas[violation.schema_index], url),
+    entity: { type: violation.type, id: violation.id },
+    path: violation.path,
+    location: violation.location,
+    docs: rules.get(violation.rule_id)?.docs
+  }));
+}
+
+// Parse pasted JSON-LD documents (strings or objects) the same way as script blocks
+function extractFromJsonLd(documents) {
   const schemas = [];
-  let match;
+  const syntaxErrors = [];
 
-  while ((match = schemaRegex.exec(html)) !== null) {
-    try {
-      const content = match[1].trim();
-      if (content) {
-        const data = JSON.parse(content);
-        const schemaArray = Array.isArray(data) ? data : [data];
-        
-        schemaArray.forEach(schema => {
-          if (schema && schema['@type']) {
-            schemas.push(schema);
-          }
-        });
+  [].concat(documents).forEach((document, index) => {
+    let data = document;
+    if (typeof document === 'string') {
+      try {
+        data = JSON.parse(document.trim());
+      } catch (e) {
+        syntaxErrors.push(jsonLdDiagnostics.diagnose(document, index));
+        return;
       }
-    } catch (e) {
-      console.warn('Invalid JSON-LD found:', e.message);
     }
-  }
 
-  // Extract basic page info
-  const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  const descMatch = html.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']+)["']/i);
-  const canonicalMatch = html.match(/<link[^>]*rel=["']canonical["'][^>]*href=["']([^"']+)["']/i);
+    const schemaArray = Array.isArray(data) ? data : [data];
+    schemaArray.forEach((schema, schemaIndex) => {
+      if (schema && typeof schema === 'object') {
+        schemas.push({
+          ...schema,
+          _extractedFrom: {
+            syntax: 'json-ld',
+            scriptIndex: index,
+            location: `Document ${index + 1}.${schemaIndex + 1}`,
+            path: Array.isArray(data) ? `$[${schemaIndex}]` : '$'
+          }
+        });
+      }
+    });
+  });
 
   return {
-    title: titleMatch ? titleMatch[1].trim() : 'No title',
-    description: descMatch ? descMatch[1].trim() : '',
-    canonical: canonicalMatch ? canonicalMatch[1].trim() : url,
-    schemas: schemas,
-    method: 'fetch'
+    title: 'Pasted JSON-LD',
+    description: '',
+    canonical: null,
+    schemas: schemaNormalizer.normalize(schemas),
+    syntaxErrors: syntaxErrors
   };
 }
 
+// Advice appended to vocabulary and value findings, keyed by validator issue code
+const FINDING_ADVICE = {
+  unknown_type: 'Check the spelling against schema.org; search engines ignore unknown types.',
+  unknown_property: 'Unknown properties are ignored by search engines.',
+  property_not_in_domain: 'Move the property to a type that defines it, or change the entity type.',
+  value_out_of_range: 'Use a value of one of the expected types.',
+  invalid_date: 'Use ISO 8601, e.g. 2024-05-01 or 2024-05-01T19:00:00+02:00.',
+  invalid_time: 'Use ISO 8601 times, e.g. 09:00 or 17:30:00.',
+  invalid_duration: 'Use ISO 8601 durations, e.g. PT1H30M for an hour and a half.',
+  invalid_url: 'Use absolute http(s) URLs.',
+  relative_url: 'Relative URLs depend on the page they appear on; use absolute URLs.',
+  invalid_currency: 'Use an uppercase ISO 4217 code such as USD or EUR.',
+  invalid_price: 'Put the currency in priceCurrency and use a dot as the decimal separator.',
+  invalid_rating: 'ratingValue must be a number.',
+  rating_out_of_range: 'Keep ratingValue between worstRating and bestRating.',
+  invalid_telephone: 'Use international format, e.g. +1-212-555-0100.'
+};
+
+// Coverage issue that, once suppressed, counts the type as covered
+const COVERAGE_RULES = {
+  WebPage: 'coverage.missing-webpage',
+  Organization: 'coverage.missing-organization',
+  BreadcrumbList: 'coverage.missing-breadcrumb'
+};
+
 // Analysis functions (same as before but with better error handling)
-function calculateSEOScore(schemas) {
+// Suppressed issues are scored as if they were fixed
+function calculateSEOScore(schemas, syntaxErrors = [], suppressed = []) {
   if (!schemas || schemas.length === 0) {
     return {
       overall: 0,
       schema_coverage: 0,
       consistency_score: 0,
-      entity_completeness: 0
+      entity_completeness: 0,
+      syntax_penalty: 0
     };
   }
 
   try {
     const importantTypes = ['Organization', 'WebSite', 'WebPage', 'BreadcrumbList'];
     const foundTypes = schemas.map(s => getSchemaType(s)).filter(Boolean);
-    const foundImportant = importantTypes.filter(type => foundTypes.includes(type));
+    const suppressedCount = ruleId => suppressed.filter(issue => issue.rule_id === ruleId).length;
+    const foundImportant = importantTypes.filter(type => foundTypes.includes(type) || suppressedCount(COVERAGE_RULES[type]) > 0);
     const coverageScore = (foundImportant.length / importantTypes.length) * 40;
 
-    const schemasWithId = schemas.filter(s => s['@id']).length;
+    const schemasWithId = Math.min(schemas.length, schemas.filter(s => s['@id']).length + suppressedCount('id.missing'));
     const idScore = schemas.length > 0 ? (schemasWithId / schemas.length) * 30 : 0;
 
     const uniqueTypes = new Set(foundTypes).size;
     const completenessScore = Math.min(30, uniqueTypes * 5);
 
-    const overall = Math.round(coverageScore + idScore + completenessScore);
+    // Each JSON-LD block that fails to parse is markup search engines never see
+    const rawScore = Math.round(coverageScore + idScore + completenessScore);
+    const syntaxPenalty = Math.min(rawScore, Math.max(0, (syntaxErrors || []).length - suppressedCount('syntax.invalid-json-ld')) * 10);
+    const overall = rawScore - syntaxPenalty;
 
     return {
       overall,
       schema_coverage: Math.round(coverageScore),
       consistency_score: Math.round(idScore * (30/30) * 100), // Normalize to 100
-      entity_completeness: Math.round(completenessScore)
+      entity_completeness: Math.round(completenessScore),
+      syntax_penalty: syntaxPenalty
     };
   } catch (error) {
     log(`SEO score calculation error: ${error.message}`);
-    return { overall: 0, schema_coverage: 0, consistency_score: 0, entity_completeness: 0 };
+    return { overall: 0, schema_coverage: 0, consistency_score: 0, entity_completeness: 0, syntax_penalty: 0 };
   }
 }
 
-function generateRecommendations(schemas, url) {
-  const recommendations = [];
+function generateRecommendations(schemas, url, syntaxErrors = [], vocabularyValidation = null, richResults = null, valueValidation = null) {
+  const issues = [];
+  const page = url || null;
 
   try {
+    (syntaxErrors || []).forEach(syntaxError => {
+      const detected = syntaxError.issues.map(issue => issue.message.toLowerCase()).join('; ');
+      issues.push(issueCatalog.create('syntax.invalid-json-ld', {
+        page: syntaxError.page || page,
+        location: `Script ${syntaxError.script_index + 1}`,
+        message: `JSON-LD script ${syntaxError.script_index + 1} fails to parse at line ${syntaxError.line}, column ${syntaxError.column}: ${syntaxError.error}` +
+          (detected ? `. Detected: ${detected}.` : ''),
+        fix: syntaxError.repaired || syntaxError.snippet
+      }));
+    });
+
     if (!schemas || schemas.length === 0) {
-      recommendations.push({
-        type: 'No Schemas Found',
-        priority: 'high',
+      issues.push(issueCatalog.create('coverage.no-structured-data', {
+        page,
         message: 'No Schema.org markup was detected on this page. Add structured data to improve SEO.',
-        example: '{"@type": "WebPage", "@id": "schema:WebPage", "name": "Page Title"}'
-      });
-      return recommendations;
+        fix: '{"@type": "WebPage", "@id": "schema:WebPage", "name": "Page Title"}'
+      }));
+      return issues;
     }
 
-    // Check for missing @id properties
-    const schemasWithoutId = schemas.filter(schema => !schema['@id']);
-    if (schemasWithoutId.length > 0) {
-      recommendations.push({
-        type: 'Missing @id Properties',
-        priority: 'high',
-        message: `${schemasWithoutId.length} schemas are missing @id properties.`,
-        example: '{"@id": "schema:WebPageElement"}'
+    // Vocabulary and value findings, one issue each
+    const vocabularyIssues = vocabularyValidation ? vocabularyValidation.issues : [];
+    const valueIssues = valueValidation ? valueValidation.issues : [];
+    [
+      ...vocabularyIssues.map(finding => ({ finding, ruleId: `vocabulary.${finding.code.replace(/_/g, '-')}` })),
+      ...valueIssues.map(finding => ({ finding, ruleId: `values.${finding.code.replace(/_/g, '-')}` }))
+    ].forEach(({ finding, ruleId }) => {
+      issues.push(issueCatalog.create(ruleId, {
+        page: pageOf(schemas[finding.schema_index], page),
+        entity: issueCatalog.describeEntity(schemas[finding.schema_index]),
+        path: finding.path,
+        location: finding.location,
+        message: `${finding.message}. ${FINDING_ADVICE[finding.code]}`
+      }));
+    });
+
+    // Rich-result features an entity targets but does not qualify for
+    (richResults ? richResults.entities : [])
+      .filter(entity => entity.status === 'ineligible')
+      .forEach(entity => {
+        const rule = richResults.features.find(feature => feature.rule_id === entity.rule_id);
+        issues.push(issueCatalog.create(`rich-results.${entity.rule_id}`, {
+          title: `Not Eligible for ${entity.feature} Rich Results`,
+          page: pageOf(schemas[entity.schema_index], page),
+          entity: { type: entity.type, id: entity.id },
+          path: entity.path,
+          location: entity.location,
+          message: `${entity.errors.map(error => `${error.message} at ${error.path}`).join('; ')}.`,
+          docs: rule?.docs,
+          context: { errors: entity.errors }
+        }));
       });
-    }
+
+    // Check for missing @id properties
+    schemas.filter(schema => !schema['@id']).forEach(schema => {
+      const type = getSchemaType(schema);
+      issues.push(issueCatalog.create('id.missing', {
+        ...issueCatalog.locate(schema),
+        page: pageOf(schema, page),
+        message: `${type || 'This entity'} has no @id, so other entities and pages cannot refer to it.`,
+        fix: `{"@id": "schema:${type || 'WebPageElement'}"}`
+      }));
+    });
 
     // Check for missing important schemas
     const foundTypes = schemas.map(s => getSchemaType(s));
     
     if (!foundTypes.includes('WebPage')) {
-      recommendations.push({
-        type: 'Missing WebPage Schema',
-        priority: 'high',
+      issues.push(issueCatalog.create('coverage.missing-webpage', {
+        page,
         message: 'Add WebPage schema to improve page indexing.',
-        example: `{"@type": "WebPage", "@id": "schema:WebPage", "name": "Page Title", "url": "${url}"}`
-      });
+        fix: `{"@type": "WebPage", "@id": "schema:WebPage", "name": "Page Title", "url": "${url}"}`
+      }));
     }
 
-    return recommendations;
+    return issues;
   } catch (error) {
     log(`Recommendations generation error: ${error.message}`);
-    return [{
-      type: 'Analysis Error',
-      priority: 'high',
-      message: `Error generating recommendations: ${error.message}`,
-      example: ''
-    }];
+    return [issueCatalog.create('analysis.error', {
+      page,
+      message: `Error generating recommendations: ${error.message}`
+    })];
   }
 }
 
@@ -407,9 +939,15 @@ function analyzeConsistency(schemas) {
   }
 }
 
+// Site scans tag each schema with the page it was found on; single-page analyses report the analyzed URL
+function pageOf(schema, url) {
+  return schema?._siteMapperInfo?.foundOnUrl || url || null;
+}
+
 function getSchemaType(schema) {
   if (!schema || !schema['@type']) return null;
-  return Array.isArray(schema['@type']) ? schema['@type'][0] : schema['@type'];
+  const type = Array.isArray(schema['@type']) ? schema['@type'][0] : schema['@type'];
+  return jsonLdProcessor.compactIri(type);
 }
 
 // Serve dashboard
@@ -430,6 +968,11 @@ app.listen(PORT, '0.0.0.0', () => {
   log(`🌐 Schema Web Analyzer running on port ${PORT}`);
   log(`📊 Dashboard: http://localhost:${PORT}`);
   log(`🔍 API Health: http://localhost:${PORT}/api/health`);
+
+  const interrupted = Array.from(siteScans.values()).filter(scan => scan.status === 'interrupted');
+  if (interrupted.length > 0) {
+    log(`⏸️ ${interrupted.length} interrupted site scans; resume them with POST /api/scans/{scan_id}/resume`);
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,326 @@
+// api/services/browserPool.js - Shared Puppeteer Browser Pool
+// Long-lived browsers lent out one page at a time, recycled before they grow stale
+
+const fs = require('fs');
+const config = require('../../config');
+
+let sharedPool = null;
+
+class BrowserPool {
+    constructor(options = {}) {
+        const settings = config.performance.browserPool;
+
+        this.size = options.browsers || settings.browsers;
+        this.pagesPerBrowser = options.pagesPerBrowser || config.performance.maxConcurrentPages;
+        this.recycleAfterPages = options.recycleAfterPages || settings.recycleAfterPages;
+        this.maxMemoryGrowthMB = options.maxMemoryGrowthMB || settings.maxMemoryGrowthMB;
+        this.healthCheckInterval = options.healthCheckInterval || settings.healthCheckInterval;
+        this.acquireTimeout = options.acquireTimeout || settings.acquireTimeout;
+        this.maxQueue = options.maxQueue || config.performance.queue.maxSize;
+        this.launchOptions = options.launchOptions || {
+            headless: config.crawler.puppeteer.headless,
+            args: config.crawler.puppeteer.args
+        };
+        this.puppeteer = options.puppeteer || null;
+
+        this.entries = [];
+        this.waiting = [];
+        this.launching = 0;
+        this.nextId = 1;
+        this.healthTimer = null;
+        this.lastHealthCheck = null;
+        this.totals = { launched: 0, failed_launches: 0, recycled: { page_limit: 0, memory: 0, unhealthy: 0 }, crashed: 0, pages_served: 0, queued: 0, rejected: 0 };
+    }
+
+    /**
+     * One pool per process, so the server and the crawlers share browsers
+     */
+    static shared() {
+        if (!sharedPool) sharedPool = new BrowserPool();
+        return sharedPool;
+    }
+
+    /**
+     * Run task with a fresh page; the page is closed and its slot returned however the task ends
+     */
+    async withPage(task) {
+        const { entry, page } = await this.acquire();
+        try {
+            return await task(page);
+        } finally {
+            await this.release(entry, page);
+        }
+    }
+
+    async acquire() {
+        const entry = await this.reserve();
+        try {
+            return { entry, page: await entry.browser.newPage() };
+        } catch (error) {
+            entry.activePages--;
+            this.retire(entry, 'unhealthy');
+            this.serveWaiting();
+            throw error;
+        }
+    }
+
+    async release(entry, page) {
+        try {
+            await page.close();
+        } catch (error) {
+            // The browser may already be gone
+        }
+
+        entry.activePages--;
+        entry.pagesServed++;
+        this.totals.pages_served++;
+
+        if (!entry.retiring) {
+            if (entry.pagesServed >= this.recycleAfterPages) {
+                this.retire(entry, 'page_limit');
+            } else if (this.memoryGrowth(entry) > this.maxMemoryGrowthMB) {
+                this.retire(entry, 'memory');
+            }
+        }
+
+        if (entry.retiring && entry.activePages === 0) {
+            await this.closeEntry(entry);
+        }
+        this.serveWaiting();
+    }
+
+    /**
+     * Take a page slot: a free one if any, a new browser while the pool is below size, otherwise wait in line
+     */
+    reserve() {
+        const entry = this.findFreeEntry();
+        if (entry) {
+            entry.activePages++;
+            return Promise.resolve(entry);
+        }
+
+        if (this.canLaunch()) {
+            return this.launch();
+        }
+
+        if (this.waiting.length >= this.maxQueue) {
+            this.totals.rejected++;
+            return Promise.reject(new Error(`Browser pool saturated: ${this.waiting.length} requests already waiting`));
+        }
+
+        this.totals.queued++;
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiting = this.waiting.filter(candidate => candidate !== waiter);
+                this.totals.rejected++;
+                reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a browser page`));
+            }, this.acquireTimeout);
+            this.waiting.push(waiter);
+        });
+    }
+
+    serveWaiting() {
+        while (this.waiting.length > 0) {
+            const entry = this.findFreeEntry();
+            if (!entry && !this.canLaunch()) return;
+
+            const waiter = this.waiting.shift();
+            clearTimeout(waiter.timer);
+
+            if (entry) {
+                entry.activePages++;
+                waiter.resolve(entry);
+            } else {
+                this.launch().then(waiter.resolve, waiter.reject);
+            }
+        }
+    }
+
+    findFreeEntry() {
+        return this.entries
+            .filter(entry => !entry.retiring && entry.activePages < this.pagesPerBrowser)
+            .sort((a, b) => a.activePages - b.activePages)[0];
+    }
+
+    /**
+     * Retiring browsers do not count against the size, so a replacement can start while they finish their pages
+     */
+    canLaunch() {
+        return this.entries.filter(entry => !entry.retiring).length + this.launching < this.size;
+    }
+
+    /**
+     * Start a browser with its first page slot already taken by the caller
+     */
+    async launch() {
+        this.launching++;
+        try {
+            const puppeteer = this.puppeteer || require('puppeteer');
+            const browser = await puppeteer.launch(this.launchOptions);
+            const entry = {
+                id: this.nextId++,
+                browser,
+                activePages: 1,
+                pagesServed: 0,
+                launchedAt: Date.now(),
+                baselineMemoryMB: null,
+                retiring: null
+            };
+            entry.baselineMemoryMB = this.readMemoryMB(entry);
+
+            browser.on('disconnected', () => {
+                if (this.entries.includes(entry) && !entry.closing) {
+                    this.totals.crashed++;
+                    this.entries = this.entries.filter(candidate => candidate !== entry);
+                    this.serveWaiting();
+                }
+            });
+
+            this.entries.push(entry);
+            this.totals.launched++;
+            this.startHealthChecks();
+            return entry;
+        } catch (error) {
+            this.totals.failed_launches++;
+            throw error;
+        } finally {
+            this.launching--;
+        }
+    }
+
+    retire(entry, reason) {
+        if (entry.retiring) return;
+
+        entry.retiring = reason;
+        this.totals.recycled[reason]++;
+        if (entry.activePages === 0) {
+            this.closeEntry(entry);
+        }
+    }
+
+    async closeEntry(entry) {
+        if (entry.closing) return;
+
+        entry.closing = true;
+        this.entries = this.entries.filter(candidate => candidate !== entry);
+        try {
+            await entry.browser.close();
+        } catch (error) {
+            // Already disconnected
+        }
+    }
+
+    startHealthChecks() {
+        if (this.healthTimer || !this.healthCheckInterval) return;
+
+        this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+        this.healthTimer.unref();
+    }
+
+    /**
+     * Retire idle browsers that stopped answering or outgrew the memory limit
+     * Busy browsers are checked when their pages are released
+     */
+    async checkHealth() {
+        const idle = this.entries.filter(entry => !entry.retiring && entry.activePages === 0);
+
+        await Promise.all(idle.map(async entry => {
+            let timer;
+            try {
+                await Promise.race([
+                    entry.browser.version(),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error('Browser did not respond')), 5000);
+                    })
+                ]);
+                if (this.memoryGrowth(entry) > this.maxMemoryGrowthMB) {
+                    this.retire(entry, 'memory');
+                }
+            } catch (error) {
+                this.retire(entry, 'unhealthy');
+            } finally {
+                clearTimeout(timer);
+            }
+        }));
+
+        this.lastHealthCheck = new Date().toISOString();
+        this.serveWaiting();
+    }
+
+    memoryGrowth(entry) {
+        const current = this.readMemoryMB(entry);
+        if (current === null || entry.baselineMemoryMB === null) return 0;
+        return current - entry.baselineMemoryMB;
+    }
+
+    /**
+     * Resident memory of the browser and its renderer processes, from /proc
+     * Returns null where /proc is unavailable, which turns the memory limit off
+     */
+    readMemoryMB(entry) {
+        const root = entry.browser.process()?.pid;
+        if (!root) return null;
+
+        try {
+            let totalKb = 0;
+            const pending = [root];
+            while (pending.length > 0) {
+                const pid = pending.pop();
+                const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+                const match = status.match(/^VmRSS:\s+(\d+)/m);
+                totalKb += match ? parseInt(match[1], 10) : 0;
+
+                const children = fs.readFileSync(`/proc/${pid}/task/${pid}/children`, 'utf8').trim();
+                if (children) pending.push(...children.split(/\s+/).map(Number));
+            }
+            return Math.round(totalKb / 1024);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Pool state for the health endpoint
+     */
+    stats() {
+        return {
+            size: this.size,
+            pages_per_browser: this.pagesPerBrowser,
+            recycle_after_pages: this.recycleAfterPages,
+            max_memory_growth_mb: this.maxMemoryGrowthMB,
+            active_pages: this.entries.reduce((sum, entry) => sum + entry.activePages, 0),
+            queued: this.waiting.length,
+            launching: this.launching,
+            last_health_check: this.lastHealthCheck,
+            browsers: this.entries.map(entry => ({
+                id: entry.id,
+                active_pages: entry.activePages,
+                pages_served: entry.pagesServed,
+                memory_mb: this.readMemoryMB(entry),
+                memory_growth_mb: this.memoryGrowth(entry),
+                age_seconds: Math.round((Date.now() - entry.launchedAt) / 1000),
+                retiring: entry.retiring
+            })),
+            totals: this.totals
+        };
+    }
+
+    /**
+     * Close every browser and fail whatever is still waiting
+     */
+    async close() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+
+        this.waiting.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Browser pool closed'));
+        });
+        this.waiting = [];
+
+        await Promise.all(this.entries.map(entry => this.closeEntry(entry)));
+    }
+}
+
+module.exports = BrowserPool;
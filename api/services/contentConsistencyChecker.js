@@ -0,0 +1,338 @@
+// api/services/contentConsistencyChecker.js - Markup vs Visible Content Checks
+// Compares key structured data values with the text a visitor actually sees
+
+const cheerio = require('cheerio');
+const VocabularyValidator = require('./vocabularyValidator');
+const SchemaNormalizer = require('./schemaNormalizer');
+const { ValidationUtils } = require('../../utils');
+
+// Entities whose name is expected to be the page's main heading
+const NAMED_PAGE_TYPES = ['Product', 'Recipe', 'Event', 'Course', 'SoftwareApplication', 'HowTo'];
+
+// Elements that never contribute visible text
+const HIDDEN_SELECTOR = 'head, script, style, noscript, template, svg, [hidden], [aria-hidden="true"], [style*="display:none"], [style*="display: none"], [style*="visibility:hidden"], [style*="visibility: hidden"]';
+
+// Amounts with a leading currency ($79.99) are preferred over trailing ones (79,99 €)
+const LEADING_CURRENCY_PATTERN = /(?:[$€£¥₪₹]|\b[A-Z]{3}\b)\s?\d+(?:[.,]\d+)*/g;
+const TRAILING_CURRENCY_PATTERN = /\b\d+(?:[.,]\d+)*\s?(?:[$€£¥₪₹]|[A-Z]{3}\b)/g;
+const RATING_CONTEXT_PATTERN = /(?:\S+\s+){0,4}\S*(?:rating|rated|review|star|out of \d)\S*(?:\s+\S+){0,4}/gi;
+
+// Word overlap above which two texts count as the same heading
+const HEADING_OVERLAP = 0.8;
+const ANSWER_PREFIX_LENGTH = 100;
+
+class ContentConsistencyChecker {
+    constructor(options = {}) {
+        this.vocabulary = options.vocabulary || new VocabularyValidator();
+        this.normalizer = new SchemaNormalizer();
+    }
+
+    /**
+     * Approximate the visible content of static HTML
+     * Styles from stylesheets are not applied, so CSS-hidden text still counts as visible
+     */
+    snapshotFromHtml(html) {
+        const $ = cheerio.load(html || '');
+        const title = $('title').first().text().trim();
+        $(HIDDEN_SELECTOR).remove();
+
+        const labels = [];
+        $('[aria-label], [title], img[alt]').each((index, element) => {
+            const $element = $(element);
+            const label = $element.attr('aria-label') || $element.attr('title') || $element.attr('alt');
+            if (label && label.trim()) labels.push(label.trim());
+        });
+
+        return {
+            source: 'html',
+            title,
+            headings: $('h1').map((index, element) => this.collectText(element)).get().filter(Boolean),
+            text: $('body').length > 0 ? this.collectText($('body')[0]) : this.collectText($.root()[0]),
+            labels
+        };
+    }
+
+    /**
+     * Join text nodes with spaces so adjacent block elements do not run together
+     */
+    collectText(element) {
+        const parts = [];
+        const walk = node => {
+            if (node.type === 'text') {
+                parts.push(node.data);
+            } else if (node.children) {
+                node.children.forEach(walk);
+            }
+        };
+        walk(element);
+        return parts.join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Check headings, prices, FAQ content and ratings against a visible content snapshot
+     */
+    check(schemas, snapshot) {
+        const mismatches = [];
+        const page = {
+            ...snapshot,
+            headings: snapshot.headings || [],
+            labels: snapshot.labels || [],
+            normalizedText: this.normalize(snapshot.text),
+            numbers: this.extractNumbers(`${snapshot.text || ''} ${(snapshot.labels || []).join(' ')}`)
+        };
+        const checks = { headline: 0, price: 0, faq: 0, rating: 0 };
+        const reporter = (schema, index) => (check, details) => mismatches.push({
+            check,
+            schema_index: index,
+            location: schema._extractedFrom?.location || null,
+            ...details
+        });
+
+        checks.headline = this.checkHeadlines(schemas, page, reporter);
+
+        (schemas || []).forEach((schema, index) => {
+            if (!schema || typeof schema !== 'object') return;
+
+            const report = reporter(schema, index);
+            this.walkNodes(schema, schema._extractedFrom?.path || '$', (node, nodePath) => {
+                const types = this.vocabulary.getTypes(node);
+                const isA = type => types.some(candidate => this.vocabulary.isSubtypeOf(candidate, type));
+
+                if (node.price !== undefined || node.lowPrice !== undefined) {
+                    checks.price += this.checkPrice(node, nodePath, types, page, report);
+                }
+                if (isA('AggregateRating')) {
+                    checks.rating += this.checkRating(node, nodePath, types, page, report);
+                }
+                if (isA('FAQPage')) {
+                    checks.faq += this.checkFaq(node, nodePath, page, report);
+                }
+            });
+        });
+
+        return {
+            source: snapshot.source,
+            page_title: snapshot.title || null,
+            page_headings: page.headings,
+            checks,
+            consistent: mismatches.length === 0,
+            mismatches
+        };
+    }
+
+    /**
+     * The headline, or the name of a page-level entity, should match an <h1> or the <title>
+     * Each entity is compared on its own, so one matching entity does not hide another's mismatch
+     */
+    checkHeadlines(schemas, page, reporter) {
+        const headings = [...page.headings, page.title].filter(Boolean);
+        const candidates = (schemas || [])
+            .map((schema, index) => ({ schema, index, property: this.getHeadingProperty(schema) }))
+            .filter(candidate => candidate.property !== null);
+
+        if (headings.length === 0 || candidates.length === 0) return 0;
+
+        const matches = candidate => headings.some(heading => this.textsMatch(candidate.schema[candidate.property], heading));
+
+        candidates.filter(candidate => !matches(candidate)).forEach(({ schema, index, property }) => {
+            const shown = page.headings[0] || page.title;
+            reporter(schema, index)('headline', {
+                type: this.vocabulary.getTypes(schema).join(', ') || null,
+                property,
+                path: this.normalizer.appendPath(schema._extractedFrom?.path || '$', property),
+                schema_value: schema[property],
+                page_value: shown,
+                message: `${property} "${schema[property]}" does not match the page heading "${shown}"`
+            });
+        });
+        return candidates.length;
+    }
+
+    getHeadingProperty(schema) {
+        if (!schema || typeof schema !== 'object') return null;
+        const types = this.vocabulary.getTypes(schema);
+        const isA = names => types.some(type => names.some(name => this.vocabulary.isSubtypeOf(type, name)));
+
+        if (typeof schema.headline === 'string') return 'headline';
+        if (isA(['JobPosting']) && typeof schema.title === 'string') return 'title';
+        if (isA(NAMED_PAGE_TYPES) && typeof schema.name === 'string') return 'name';
+        return null;
+    }
+
+    checkPrice(node, nodePath, types, page, report) {
+        let checked = 0;
+
+        ['price', 'lowPrice', 'highPrice'].forEach(property => {
+            const value = this.toNumber(node[property]);
+            if (!(value > 0)) return;
+            checked++;
+
+            if (!this.pageHasNumber(page, value)) {
+                const text = page.text || '';
+                const amounts = text.match(LEADING_CURRENCY_PATTERN) || text.match(TRAILING_CURRENCY_PATTERN) || [];
+                const shown = amounts.slice(0, 3).map(amount => amount.trim());
+                report('price', {
+                    type: types.join(', ') || null,
+                    property,
+                    path: this.normalizer.appendPath(nodePath, property),
+                    schema_value: node[property],
+                    page_value: shown.length > 0 ? shown.join(', ') : null,
+                    message: shown.length > 0
+                        ? `${property} ${node[property]} is not shown on the page, which shows ${shown.join(', ')}`
+                        : `${property} ${node[property]} is not shown on the page`
+                });
+            }
+        });
+
+        return checked;
+    }
+
+    /**
+     * Rating values may be rounded for display, so 4.47 also matches a shown 4.5
+     */
+    checkRating(node, nodePath, types, page, report) {
+        let checked = 0;
+        const shown = () => {
+            const snippets = [
+                ...page.labels.filter(label => label.match(RATING_CONTEXT_PATTERN)),
+                ...((page.text || '').match(RATING_CONTEXT_PATTERN) || [])
+            ];
+            return snippets.length > 0 ? snippets.slice(0, 2).map(snippet => snippet.trim()).join(' / ') : null;
+        };
+
+        ['ratingValue', 'reviewCount', 'ratingCount'].forEach(property => {
+            const value = this.toNumber(node[property]);
+            if (!Number.isFinite(value)) return;
+            checked++;
+
+            const candidates = property === 'ratingValue'
+                ? [value, Math.round(value * 10) / 10, Math.round(value)]
+                : [value];
+            if (candidates.some(candidate => this.pageHasNumber(page, candidate))) return;
+
+            const pageValue = shown();
+            report('rating', {
+                type: types.join(', ') || null,
+                property,
+                path: this.normalizer.appendPath(nodePath, property),
+                schema_value: node[property],
+                page_value: pageValue,
+                message: `${property} ${node[property]} is not shown on the page` + (pageValue ? `, which shows "${pageValue}"` : '')
+            });
+        });
+
+        return checked;
+    }
+
+    /**
+     * Every marked-up question, and the start of its answer, must be visible
+     */
+    checkFaq(node, nodePath, page, report) {
+        const questions = [].concat(node.mainEntity || []);
+        let checked = 0;
+
+        questions.forEach((question, questionIndex) => {
+            if (!question || typeof question !== 'object') return;
+            const questionPath = Array.isArray(node.mainEntity)
+                ? this.normalizer.appendPath(this.normalizer.appendPath(nodePath, 'mainEntity'), questionIndex)
+                : this.normalizer.appendPath(nodePath, 'mainEntity');
+
+            if (typeof question.name === 'string') {
+                checked++;
+                if (!page.normalizedText.includes(this.normalize(question.name))) {
+                    report('faq', {
+                        type: 'Question',
+                        property: 'name',
+                        path: this.normalizer.appendPath(questionPath, 'name'),
+                        schema_value: question.name,
+                        page_value: null,
+                        message: `FAQ question "${question.name}" is not visible on the page`
+                    });
+                }
+            }
+
+            const answer = [].concat(question.acceptedAnswer || [])[0];
+            if (answer && typeof answer.text === 'string') {
+                checked++;
+                const prefix = this.normalize(answer.text).substring(0, ANSWER_PREFIX_LENGTH).replace(/\s\S*$/, '');
+                if (prefix && !page.normalizedText.includes(prefix)) {
+                    report('faq', {
+                        type: 'Answer',
+                        property: 'text',
+                        path: this.normalizer.appendPath(this.normalizer.appendPath(questionPath, 'acceptedAnswer'), 'text'),
+                        schema_value: answer.text,
+                        page_value: null,
+                        message: `The answer to "${question.name || 'an FAQ question'}" is not visible on the page`
+                    });
+                }
+            }
+        });
+
+        return checked;
+    }
+
+    walkNodes(node, nodePath, visit) {
+        if (!node || typeof node !== 'object' || '@value' in node) return;
+        visit(node, nodePath);
+
+        Object.keys(node).forEach(key => {
+            if (key.startsWith('@') || key.startsWith('_')) return;
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => this.walkNodes(item, this.normalizer.appendPath(this.normalizer.appendPath(nodePath, key), index), visit));
+            } else {
+                this.walkNodes(value, this.normalizer.appendPath(nodePath, key), visit);
+            }
+        });
+    }
+
+    /**
+     * Containment either way (titles often carry a " | Site" suffix) or a high word overlap
+     */
+    textsMatch(schemaText, pageText) {
+        const expected = this.normalize(schemaText);
+        const actual = this.normalize(pageText);
+        if (!expected || !actual) return false;
+        if (actual.includes(expected) || expected.includes(actual)) return true;
+
+        const expectedWords = new Set(expected.split(' '));
+        const actualWords = new Set(actual.split(' '));
+        const shared = [...expectedWords].filter(word => actualWords.has(word)).length;
+        return shared / expectedWords.size >= HEADING_OVERLAP;
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .replace(/<[^>]+>/g, ' ')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Every number on the page, read with both dot and comma decimal conventions
+     */
+    extractNumbers(text) {
+        const numbers = new Set();
+
+        (String(text || '').match(/\d+(?:[.,]\d+)*/g) || []).forEach(token => {
+            numbers.add(parseFloat(token.replace(/,/g, '')));
+            numbers.add(parseFloat(token.replace(/\./g, '').replace(',', '.')));
+        });
+
+        numbers.delete(NaN);
+        return numbers;
+    }
+
+    pageHasNumber(page, value) {
+        return [...page.numbers].some(number => Math.abs(number - value) < 0.005);
+    }
+
+    toNumber(value) {
+        const literal = value && typeof value === 'object' && '@value' in value ? value['@value'] : value;
+        return ValidationUtils.isNumericValue(literal) ? parseFloat(literal) : NaN;
+    }
+}
+
+module.exports = ContentConsistencyChecker;
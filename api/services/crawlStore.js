@@ -0,0 +1,129 @@
+// api/services/crawlStore.js - Persistent Crawl State
+// The frontier and finished pages of every running site scan, on disk, so a restart can pick the scan up again
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+// Crawls that were still going (or done crawling but not yet analyzed) when the process stopped
+const UNFINISHED = ['running', 'crawled'];
+
+class CrawlStore {
+    constructor(options = {}) {
+        this.dir = options.dir || config.storage.crawls.dir;
+        this.checkpointInterval = options.checkpointInterval || config.storage.crawls.checkpointInterval;
+    }
+
+    /**
+     * One directory per scan:
+     *   state.json     - status, options and the queue, rewritten at each checkpoint
+     *   discovery.json - sitemap entries, written once when discovery ends
+     *   pages.jsonl    - every fetched or failed page, appended as it finishes
+     */
+    scanDir(scanId) {
+        if (!/^[\w-]+$/.test(String(scanId))) {
+            throw new Error(`"${scanId}" is not a scan ID`);
+        }
+        return path.join(this.dir, scanId);
+    }
+
+    /**
+     * Written to a temporary file first, so a crash mid-write leaves the previous state intact
+     */
+    saveState(scanId, state) {
+        const dir = this.scanDir(scanId);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const file = path.join(dir, 'state.json');
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    saveDiscovery(scanId, discovery) {
+        const dir = this.scanDir(scanId);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'discovery.json'), JSON.stringify(discovery));
+    }
+
+    appendPage(scanId, page) {
+        const dir = this.scanDir(scanId);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, 'pages.jsonl'), `${JSON.stringify(page)}\n`);
+    }
+
+    loadState(scanId) {
+        return this.readJson(path.join(this.scanDir(scanId), 'state.json'));
+    }
+
+    /**
+     * { state, discovery, pages } for a saved scan, or null
+     * A page line cut off by a crash is skipped; that page is fetched again
+     */
+    load(scanId) {
+        const state = this.loadState(scanId);
+        if (!state) return null;
+
+        const dir = this.scanDir(scanId);
+        let lines = [];
+        try {
+            lines = fs.readFileSync(path.join(dir, 'pages.jsonl'), 'utf8').split('\n');
+        } catch (error) {
+            // No page finished before the stop
+        }
+
+        const pages = [];
+        lines.filter(Boolean).forEach(line => {
+            try {
+                pages.push(JSON.parse(line));
+            } catch (error) {
+                // Partial last line
+            }
+        });
+
+        return { state, discovery: this.readJson(path.join(dir, 'discovery.json')), pages };
+    }
+
+    /**
+     * States of every saved scan, newest first
+     */
+    list() {
+        let ids = [];
+        try {
+            ids = fs.readdirSync(this.dir);
+        } catch (error) {
+            return [];
+        }
+
+        return ids
+            .map(scanId => this.readJson(path.join(this.dir, scanId, 'state.json')))
+            .filter(Boolean)
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    }
+
+    /**
+     * Called once at startup: no scan can be running yet, so unfinished ones were cut off by the last stop
+     */
+    markInterrupted() {
+        return this.list()
+            .filter(state => UNFINISHED.includes(state.status))
+            .map(state => {
+                const interrupted = { ...state, status: 'interrupted', interruptedAt: state.updatedAt };
+                this.saveState(state.scanId, interrupted);
+                return interrupted;
+            });
+    }
+
+    remove(scanId) {
+        fs.rmSync(this.scanDir(scanId), { recursive: true, force: true });
+    }
+
+    readJson(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = CrawlStore;
@@ -1,65 +1,58 @@
 // api/services/crawler.js - Advanced Web Crawler for Schema Analysis
 // Based on site-schema-mapper.js and content.js from Chrome extension
 
-const puppeteer = require('puppeteer');
-const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
 const axios = require('axios');
 const { URL } = require('url');
-const config = require('../config');
-const logger = require('../utils/logger');
-const { delay, sanitizeUrl, generateId } = require('../utils/helpers');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config');
+const { URLUtils, LoggerUtils } = require('../../utils');
+const PageFetcher = require('./pageFetcher');
+const RobotsTxt = require('./robotsTxt');
+const SitemapReader = require('./sitemapReader');
+const PageCache = require('./pageCache');
+const CrawlStore = require('./crawlStore');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+
+const logger = {
+    info: (message, ...details) => console.log(LoggerUtils.formatLogMessage('info', message), ...details),
+    warn: (message, ...details) => console.warn(LoggerUtils.formatLogMessage('warning', message), ...details),
+    error: (message, ...details) => console.error(LoggerUtils.formatLogMessage('error', message), ...details)
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 class WebCrawler {
-    constructor() {
-        this.browser = null;
+    constructor(options = {}) {
+        this.fetcher = options.fetcher || new PageFetcher();
+        this.pageCache = options.pageCache || new PageCache();
+        // Site scans with a scanId are persisted as they run, so they can be resumed after a restart
+        this.store = options.store || new CrawlStore();
+        this.scanId = options.scanId || null;
         this.discoveredPages = new Map();
         this.scannedUrls = new Set();
         this.failedUrls = new Set();
         this.scanQueue = [];
+        this.inFlight = new Set(); // Taken off the queue, not yet finished
         this.isScanning = false;
-        this.maxPages = config.CRAWLING.MAX_PAGES_PER_SCAN;
-        this.crawlDelay = config.CRAWLING.CRAWL_DELAY;
-        this.maxConcurrent = config.CRAWLING.MAX_CONCURRENT_PAGES;
-    }
-
-    /**
-     * Initialize browser instance
-     */
-    async initBrowser() {
-        if (this.browser) return this.browser;
-        
-        try {
-            this.browser = await puppeteer.launch({
-                headless: config.PUPPETEER.HEADLESS,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--disable-gpu'
-                ]
-            });
-            
-            logger.info('Browser initialized successfully');
-            return this.browser;
-            
-        } catch (error) {
-            logger.error('Failed to initialize browser:', error);
-            throw new Error(`Browser initialization failed: ${error.message}`);
-        }
-    }
-
-    /**
-     * Close browser instance
-     */
-    async closeBrowser() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
-            logger.info('Browser closed');
-        }
+        this.maxPages = config.crawler.maxPages;
+        this.crawlDelay = config.crawler.crawlDelay;
+        this.maxConcurrent = config.crawler.maxConcurrent;
+        this.robots = null;
+        this.robotsStatus = null;
+        this.ignoreRobots = false;
+        this.crawlDelayCapped = false;
+        this.robotsSkipped = new Map();
+        this.sitemapEntries = new Map(); // URL -> { lastmod, changefreq, priority, source }
+        this.sitemaps = [];
+        this.incremental = false;
+        this.canonicalizer = new UrlCanonicalizer();
+        this.startUrl = null;
+        this.scanOptions = {};
+        this.phase = null;
+        this.startedAt = null;
+        this.lastCheckpoint = 0;
     }
 
     /**
@@ -69,13 +62,12 @@ class WebCrawler {
         logger.info(`Analyzing single page: ${url}`);
         
         try {
-            const sanitizedUrl = sanitizeUrl(url);
+            const sanitizedUrl = URLUtils.sanitizeUrl(url);
             if (!sanitizedUrl) {
                 throw new Error('Invalid URL provided');
             }
 
-            await this.initBrowser();
-            const result = await this.scanPage(sanitizedUrl, options);
+            const result = await this.fetcher.fetch(sanitizedUrl, this.fetchOptions(options));
             
             return {
                 url: sanitizedUrl,
@@ -98,40 +90,293 @@ class WebCrawler {
         
         try {
             this.reset();
-            this.maxPages = options.maxPages || config.CRAWLING.MAX_PAGES_PER_SCAN;
-            this.crawlDelay = options.crawlDelay || config.CRAWLING.CRAWL_DELAY;
+            this.applyScanOptions(options);
             
-            const sanitizedUrl = sanitizeUrl(startUrl);
+            const sanitizedUrl = URLUtils.sanitizeUrl(startUrl);
             if (!sanitizedUrl) {
                 throw new Error('Invalid start URL provided');
             }
 
-            const baseUrl = new URL(sanitizedUrl).origin;
+            this.startUrl = this.canonicalizer.normalize(sanitizedUrl);
+            this.startedAt = new Date().toISOString();
+            this.phase = 'discovering';
             this.isScanning = true;
+            this.checkpoint('running', true);
             
-            await this.initBrowser();
+            return await this.crawl(new URL(sanitizedUrl).origin, options);
             
-            // Discovery phase
-            await this.discoverUrls(sanitizedUrl, baseUrl, options);
+        } catch (error) {
+            this.isScanning = false;
+            this.checkpoint('failed', true);
+            logger.error(`Site analysis failed for ${startUrl}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Continue a persisted site scan from where it stopped
+     * Finished pages are not fetched again; discovery is redone only if it had not finished
+     */
+    async resumeSite(scanId) {
+        const saved = this.store.load(scanId);
+        if (!saved) {
+            throw new Error(`No saved crawl for scan ${scanId}`);
+        }
+        
+        const { state, discovery, pages } = saved;
+        logger.info(`Resuming site analysis: ${state.startUrl} (${pages.length} pages already done)`);
+        
+        try {
+            this.reset();
+            this.scanId = scanId;
+            this.applyScanOptions(state.options);
+            this.startUrl = state.startUrl;
+            this.startedAt = state.startedAt;
+            this.phase = state.phase;
+            // Pages that were being fetched when the scan stopped go first; workers skip any that were saved after all
+            this.scanQueue = [...(state.inFlight || []), ...(state.queue || [])];
+            this.robotsSkipped = new Map(state.robotsSkipped || []);
+            this.canonicalizer.restore(state.duplicates);
+            if (discovery) {
+                this.sitemapEntries = new Map(discovery.sitemapEntries);
+                this.sitemaps = discovery.sitemaps;
+            }
             
-            // Scanning phase
-            await this.processScanQueue(baseUrl, options);
+            pages.forEach(page => {
+                this.discoveredPages.set(page.url, page);
+                this.scannedUrls.add(page.url);
+                if (page.error) this.failedUrls.add(page.url);
+            });
+            // Links of pages finished after the last checkpoint may be missing from the saved queue
+            pages.filter(page => !page.error).forEach(page => this.followLinks(page, this.scanOptions));
+            
+            this.isScanning = true;
+            this.checkpoint('running', true);
+            
+            return await this.crawl(new URL(this.startUrl).origin, this.scanOptions);
+            
+        } catch (error) {
+            this.isScanning = false;
+            this.checkpoint('failed', true);
+            logger.error(`Resumed site analysis failed for ${state.startUrl}:`, error);
+            throw error;
+        }
+    }
+
+    applyScanOptions(options) {
+        this.scanOptions = options;
+        this.maxPages = options.max_pages || options.maxPages || config.crawler.maxPages;
+        this.crawlDelay = options.crawl_delay ?? options.crawlDelay ?? config.crawler.crawlDelay;
+        this.ignoreRobots = options.ignore_robots === true;
+        this.incremental = options.incremental === true;
+        this.canonicalizer = new UrlCanonicalizer(options.canonicalization);
+    }
+
+    /**
+     * Discovery (unless a resumed scan already finished it), scanning and results
+     */
+    async crawl(baseUrl, options) {
+        // robots.txt decides what may be fetched and how fast, unless the caller owns the site
+        await this.loadRobots(baseUrl);
+        if (!this.ignoreRobots && this.robots.crawlDelay !== null) {
+            // A huge Crawl-delay, by mistake or not, would stall the scan for that long per page
+            const requested = this.robots.crawlDelay * 1000;
+            this.crawlDelay = Math.min(requested, config.crawler.maxCrawlDelay);
+            this.crawlDelayCapped = requested > this.crawlDelay;
+            if (this.crawlDelayCapped) {
+                logger.warn(`robots.txt Crawl-delay of ${this.robots.crawlDelay}s capped at ${this.crawlDelay / 1000}s`);
+            } else {
+                logger.info(`Using robots.txt Crawl-delay of ${this.robots.crawlDelay}s`);
+            }
+        }
+        
+        // Discovery phase
+        if (this.phase === 'discovering') {
+            await this.discoverUrls(this.startUrl, baseUrl, options);
+            if (options.prioritize === 'lastmod') {
+                this.prioritizeByLastmod();
+            }
+            
+            this.phase = 'scanning';
+            if (this.scanId) {
+                this.store.saveDiscovery(this.scanId, {
+                    sitemapEntries: Array.from(this.sitemapEntries.entries()),
+                    sitemaps: this.sitemaps
+                });
+            }
+            this.checkpoint('running', true);
+        }
+        
+        // Scanning phase
+        await this.processScanQueue(baseUrl, options);
+        
+        // Build final results
+        const results = await this.buildSiteResults(baseUrl);
+        this.savePageCache();
+        this.checkpoint('crawled', true);
+        
+        this.isScanning = false;
+        logger.info(`Site analysis completed: ${results.totalPages} pages, ${results.totalSchemas} schemas`);
+        
+        return results;
+    }
+
+    /**
+     * Snapshot the queue and progress of a persisted scan
+     * Snapshots are at most checkpointInterval apart unless forced; pages are saved on their own as they finish
+     */
+    checkpoint(status, force = false) {
+        if (!this.scanId || !this.startUrl) return;
+        if (!force && Date.now() - this.lastCheckpoint < this.store.checkpointInterval) return;
+        
+        try {
+            this.store.saveState(this.scanId, {
+                scanId: this.scanId,
+                startUrl: this.startUrl,
+                options: this.scanOptions,
+                status,
+                phase: this.phase,
+                startedAt: this.startedAt,
+                queue: this.scanQueue,
+                inFlight: Array.from(this.inFlight),
+                robotsSkipped: Array.from(this.robotsSkipped.entries()),
+                duplicates: this.canonicalizer.toJSON(),
+                counts: {
+                    scanned: this.scannedUrls.size,
+                    failed: this.failedUrls.size,
+                    queued: this.scanQueue.length
+                }
+            });
+            this.lastCheckpoint = Date.now();
+        } catch (error) {
+            logger.warn(`Could not save crawl state for scan ${this.scanId}:`, error.message);
+        }
+    }
+
+    /**
+     * Keep a finished page, and persist it for a resume
+     */
+    recordPage(url, page) {
+        this.discoveredPages.set(url, page);
+        
+        if (this.scanId) {
+            try {
+                this.store.appendPage(this.scanId, page);
+            } catch (error) {
+                logger.warn(`Could not save ${url} for scan ${this.scanId}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Analyze a local static-site build (e.g. dist/) without a browser
+     * File paths are mapped onto options.baseUrl: about/index.html -> {baseUrl}/about/
+     */
+    async analyzeDirectory(rootDir, options = {}) {
+        logger.info(`Starting directory analysis: ${rootDir}`);
+        
+        try {
+            this.reset();
+            this.maxPages = options.maxPages || config.crawler.maxPages;
+            
+            const stats = await fs.stat(rootDir);
+            if (!stats.isDirectory()) {
+                throw new Error(`Not a directory: ${rootDir}`);
+            }
+
+            const sanitizedBase = URLUtils.sanitizeUrl(options.baseUrl || 'http://localhost/');
+            if (!sanitizedBase) {
+                throw new Error('Invalid base URL provided');
+            }
+
+            const baseUrl = new URL(sanitizedBase).origin;
+            this.isScanning = true;
+            
+            const files = await this.discoverFiles(rootDir);
+            logger.info(`Discovery complete: ${files.length} HTML files found`);
+            
+            for (const filePath of files) {
+                if (!this.isScanning || this.scannedUrls.size >= this.maxPages) break;
+                
+                const url = this.fileToUrl(rootDir, filePath, sanitizedBase, options);
+                await this.scanFile(filePath, url);
+            }
             
-            // Build final results
             const results = await this.buildSiteResults(baseUrl);
             
             this.isScanning = false;
-            logger.info(`Site analysis completed: ${results.totalPages} pages, ${results.totalSchemas} schemas`);
+            logger.info(`Directory analysis completed: ${results.totalPages} pages, ${results.totalSchemas} schemas`);
             
             return results;
             
         } catch (error) {
             this.isScanning = false;
-            logger.error(`Site analysis failed for ${startUrl}:`, error);
+            logger.error(`Directory analysis failed for ${rootDir}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Recursively list HTML files, skipping hidden folders and node_modules
+     */
+    async discoverFiles(dir) {
+        const files = [];
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        
+        for (const entry of entries) {
+            if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+            
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.discoverFiles(fullPath));
+            } else if (entry.isFile() && /\.html?$/i.test(entry.name)) {
+                files.push(fullPath);
+            }
+        }
+        
+        return files;
+    }
+
+    /**
+     * Map a file inside the build directory to the URL it will be served at
+     */
+    fileToUrl(rootDir, filePath, baseUrl, options = {}) {
+        const segments = path.relative(rootDir, filePath).split(path.sep);
+        const fileName = segments.pop();
+        
+        if (/^index\.html?$/i.test(fileName)) {
+            segments.push('');
+        } else {
+            segments.push(options.stripHtmlExtension ? fileName.replace(/\.html?$/i, '') : fileName);
+        }
+        
+        const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+        return new URL(segments.map(encodeURIComponent).join('/'), base).href;
+    }
+
+    /**
+     * Scan a local HTML file the same way scanPage scans a rendered page
+     */
+    async scanFile(filePath, url) {
+        if (this.scannedUrls.has(url)) return;
+        
+        logger.info(`Scanning file: ${filePath} -> ${url}`);
+        this.scannedUrls.add(url);
+        
+        try {
+            const page = await this.fetcher.fetch(url, { strategy: 'file', filePath });
+            this.discoveredPages.set(url, { ...page, filePath });
+            
+            logger.info(`Successfully scanned: ${filePath} (${page.schemas.length} schemas)`);
+            
+        } catch (error) {
+            logger.warn(`Error scanning ${filePath}:`, error.message);
+            this.recordFailure(url, error, { filePath });
+        }
+    }
+
     /**
      * Discover URLs using multiple methods
      */
@@ -142,17 +387,14 @@ class WebCrawler {
         this.scanQueue.push(startUrl);
         
         // Method 1: Scan start page for links
-        await this.discoverFromPage(startUrl, baseUrl);
+        await this.discoverFromPage(startUrl, baseUrl, options);
         
-        // Method 2: Try sitemap.xml
+        // Method 2: Sitemaps listed in robots.txt, or the usual locations
         if (options.includeSitemaps !== false) {
             await this.discoverFromSitemap(baseUrl);
         }
         
-        // Method 3: Check robots.txt
-        await this.discoverFromRobots(baseUrl);
-        
-        // Method 4: Add common page patterns
+        // Method 3: Add common page patterns
         if (options.includeCommonPages !== false) {
             this.discoverCommonPages(baseUrl);
         }
@@ -162,62 +404,24 @@ class WebCrawler {
 
     /**
      * Discover URLs from a specific page
+     * The page is kept as scanned, so the scan phase does not fetch it a second time
      */
-    async discoverFromPage(url, baseUrl) {
+    async discoverFromPage(url, baseUrl, options = {}) {
+        // A resumed scan has the page already; its links were queued when it was restored
+        if (this.scannedUrls.has(url) || !this.isAllowedByRobots(url)) return;
+        
         try {
             logger.info(`Discovering URLs from: ${url}`);
             
-            const page = await this.browser.newPage();
-            await page.setUserAgent(config.PUPPETEER.USER_AGENT);
-            await page.setViewport(config.PUPPETEER.VIEWPORT);
-            
-            // Set timeout and error handling
-            page.setDefaultTimeout(config.PUPPETEER.TIMEOUT);
-            
-            await page.goto(url, { 
-                waitUntil: 'networkidle2',
-                timeout: config.PUPPETEER.TIMEOUT 
-            });
-            
-            // Extract links using page evaluation
-            const links = await page.evaluate((baseUrl) => {
-                const links = [];
-                const linkElements = document.querySelectorAll('a[href], area[href]');
-                
-                linkElements.forEach(element => {
-                    try {
-                        const href = element.getAttribute('href');
-                        if (!href) return;
-                        
-                        const absoluteUrl = new URL(href, window.location.href).href;
-                        const linkUrl = new URL(absoluteUrl);
-                        
-                        // Only same-domain links
-                        if (linkUrl.origin === baseUrl) {
-                            linkUrl.hash = '';
-                            linkUrl.search = '';
-                            const cleanUrl = linkUrl.href;
-                            
-                            if (!this.shouldSkipUrl(cleanUrl)) {
-                                links.push(cleanUrl);
-                            }
-                        }
-                    } catch (e) {
-                        // Skip invalid URLs
-                    }
-                });
-                
-                return [...new Set(links)]; // Remove duplicates
-            }, baseUrl);
+            const page = await this.fetchPage(url, options);
+            this.scannedUrls.add(url);
+            if (!this.collapseToCanonical(url, page)) {
+                this.recordPage(url, page);
+            }
             
-            // Add discovered links to queue
-            links.forEach(link => {
-                if (!this.scannedUrls.has(link) && !this.scanQueue.includes(link)) {
-                    this.scanQueue.push(link);
-                }
-            });
+            const links = page.internalLinks.filter(link => link.startsWith(baseUrl) && !this.shouldSkipUrl(link));
+            this.queueLinks(links);
             
-            await page.close();
             logger.info(`Found ${links.length} links from ${url}`);
             
         } catch (error) {
@@ -226,89 +430,118 @@ class WebCrawler {
     }
 
     /**
-     * Discover URLs from sitemap.xml
+     * Discover URLs from sitemaps, following nested indexes
+     * Sitemaps listed in robots.txt are all read; otherwise the first usual location that answers is used
      */
     async discoverFromSitemap(baseUrl) {
-        const sitemapUrls = [
+        const listed = this.robots ? this.robots.sitemaps : [];
+        const sitemapUrls = listed.length > 0 ? listed : [
             `${baseUrl}/sitemap.xml`,
             `${baseUrl}/sitemap_index.xml`,
+            `${baseUrl}/sitemap.xml.gz`,
             `${baseUrl}/sitemap1.xml`,
             `${baseUrl}/wp-sitemap.xml`
         ];
         
-        for (const sitemapUrl of sitemapUrls) {
-            try {
-                logger.info(`Checking sitemap: ${sitemapUrl}`);
-                
-                const response = await axios.get(sitemapUrl, {
-                    timeout: config.CRAWLING.REQUEST_TIMEOUT,
-                    headers: {
-                        'User-Agent': config.PUPPETEER.USER_AGENT
-                    }
-                });
-                
-                if (response.status === 200) {
-                    const $ = cheerio.load(response.data);
-                
-                // Extract URLs from sitemap
-                const urls = [];
-                $('url loc, sitemap loc').each((i, element) => {
-                    const url = $(element).text().trim();
-                    if (url && url.startsWith(baseUrl) && !this.shouldSkipUrl(url)) {
-                        urls.push(url);
-                    }
-                });
-                
-                // Add to queue
-                urls.forEach(url => {
-                    if (!this.scannedUrls.has(url) && !this.scanQueue.includes(url)) {
-                        this.scanQueue.push(url);
-                    }
-                });
-                
-                logger.info(`Found ${urls.length} URLs in sitemap`);
-                break; // Found working sitemap
-                }
-            } catch (error) {
-                logger.warn(`Could not fetch sitemap ${sitemapUrl}:`, error.message);
+        const reader = new SitemapReader({ userAgent: this.fetcher.userAgent });
+        // Sitemaps can list hundreds of thousands of URLs, too many for scanQueue.includes()
+        const queued = new Set(this.scanQueue);
+        let found = 0;
+        
+        const onUrl = ({ url: listedUrl, ...entry }) => {
+            const url = this.canonicalizer.normalize(listedUrl);
+            if (!url.startsWith(baseUrl) || this.shouldSkipUrl(url) || this.sitemapEntries.has(url)) return;
+            
+            this.sitemapEntries.set(url, entry);
+            if (!this.scannedUrls.has(url) && !queued.has(url)) {
+                queued.add(url);
+                this.scanQueue.push(url);
+                found++;
             }
+        };
+        
+        for (const sitemapUrl of sitemapUrls) {
+            logger.info(`Reading sitemap: ${sitemapUrl}`);
+            
+            const records = await reader.read(sitemapUrl, onUrl);
+            records.filter(record => record.error).forEach(record => {
+                logger.warn(`Could not read sitemap ${record.url}:`, record.error);
+            });
+            this.sitemaps.push(...records);
+            
+            if (listed.length === 0 && records.some(record => !record.error)) break; // Found working sitemap
         }
+        
+        logger.info(`Found ${found} URLs in ${this.sitemaps.filter(record => !record.error).length} sitemaps`);
+    }
+
+    /**
+     * Put the most recently modified sitemap URLs first, so a max_pages limit keeps the freshest pages
+     * Ties go to the higher sitemap priority; URLs without a lastmod follow in discovery order
+     */
+    prioritizeByLastmod() {
+        const entry = url => this.sitemapEntries.get(url) || {};
+        const dated = this.scanQueue.filter(url => entry(url).lastmod);
+        const undated = this.scanQueue.filter(url => !entry(url).lastmod);
+        
+        dated.sort((a, b) =>
+            entry(b).lastmod.localeCompare(entry(a).lastmod) ||
+            (entry(b).priority ?? 0.5) - (entry(a).priority ?? 0.5));
+        
+        this.scanQueue = [...dated, ...undated];
+        logger.info(`Prioritized ${dated.length} URLs by sitemap lastmod`);
     }
 
     /**
-     * Check robots.txt for additional sitemaps
+     * Fetch and parse robots.txt
+     * A missing file (4xx) allows everything; a server error or no answer disallows everything (RFC 9309)
      */
-    async discoverFromRobots(baseUrl) {
+    async loadRobots(baseUrl) {
+        const robotsUrl = `${baseUrl}/robots.txt`;
+        // Groups are matched against the agent the fetcher actually sends
+        const userAgent = this.fetcher.userAgent;
+        
         try {
-            logger.info('Checking robots.txt for sitemaps');
-            
-            const robotsUrl = `${baseUrl}/robots.txt`;
             const response = await axios.get(robotsUrl, {
-                timeout: config.CRAWLING.REQUEST_TIMEOUT,
+                timeout: config.crawler.timeout,
+                responseType: 'text',
+                validateStatus: () => true,
                 headers: {
-                    'User-Agent': config.PUPPETEER.USER_AGENT
+                    'User-Agent': userAgent
                 }
             });
+            this.robotsStatus = response.status;
             
-            if (response.status === 200) {
-                const robotsText = response.data;
-                const sitemapMatches = robotsText.match(/Sitemap:\s*(.+)/gi);
-                
-                if (sitemapMatches) {
-                    for (const match of sitemapMatches) {
-                        const sitemapUrl = match.replace(/Sitemap:\s*/i, '').trim();
-                        logger.info(`Found sitemap in robots.txt: ${sitemapUrl}`);
-                        
-                        // Process this sitemap
-                        await this.discoverFromSitemap(new URL(sitemapUrl).origin);
-                    }
-                }
+            if (response.status >= 500) {
+                this.robots = new RobotsTxt('', { userAgent, disallowAll: `robots.txt returned ${response.status}` });
+            } else {
+                this.robots = new RobotsTxt(response.status < 300 ? response.data : '', { userAgent });
             }
         } catch (error) {
-            logger.warn('Could not check robots.txt:', error.message);
+            logger.warn('Could not fetch robots.txt:', error.message);
+            this.robotsStatus = null;
+            this.robots = new RobotsTxt('', { userAgent, disallowAll: `robots.txt unreachable: ${error.message}` });
+        }
+        
+        if (this.robots.unreachable && !this.ignoreRobots) {
+            logger.warn(`Treating the whole site as disallowed: ${this.robots.unreachable}`);
         }
     }
 
+    /**
+     * Check a URL against robots.txt, remembering the rule that blocked it
+     */
+    isAllowedByRobots(url) {
+        if (this.ignoreRobots || !this.robots) return true;
+        
+        const { allowed, rule } = this.robots.check(url);
+        if (!allowed && !this.robotsSkipped.has(url)) {
+            logger.info(`Skipping ${url}: disallowed by robots.txt (${rule ? `${rule.directive}: ${rule.pattern}` : 'invalid URL'})`);
+            this.robotsSkipped.set(url, rule);
+        }
+        return allowed;
+    }
+
     /**
      * Add common page patterns
      */
@@ -321,7 +554,7 @@ class WebCrawler {
         ];
         
         commonPaths.forEach(path => {
-            const url = baseUrl + path;
+            const url = this.canonicalizer.normalize(baseUrl + path);
             if (!this.scannedUrls.has(url) && !this.scanQueue.includes(url)) {
                 this.scanQueue.push(url);
             }
@@ -336,7 +569,9 @@ class WebCrawler {
     async processScanQueue(baseUrl, options = {}) {
         logger.info(`Processing scan queue: ${this.scanQueue.length} URLs`);
         
-        const concurrency = Math.min(this.maxConcurrent, this.scanQueue.length);
+        // A robots.txt Crawl-delay is a gap between any two requests, so it needs a single worker
+        const maxWorkers = this.honorsCrawlDelay() ? 1 : this.maxConcurrent;
+        const concurrency = Math.min(maxWorkers, this.scanQueue.length);
         const workers = [];
         
         // Create worker promises
@@ -357,12 +592,16 @@ class WebCrawler {
         while (this.scanQueue.length > 0 && this.scannedUrls.size < this.maxPages && this.isScanning) {
             const url = this.scanQueue.shift();
             
-            if (!url || this.scannedUrls.has(url) || this.failedUrls.has(url)) {
+            if (!url || this.scannedUrls.has(url) || this.failedUrls.has(url) || !this.isAllowedByRobots(url)) {
                 continue;
             }
             
+            // Until the page is recorded, checkpoints keep it so a resume fetches it again
+            this.inFlight.add(url);
             try {
                 await this.scanPage(url, baseUrl, options);
+                this.inFlight.delete(url);
+                this.checkpoint('running');
                 
                 // Rate limiting
                 if (this.scanQueue.length > 0) {
@@ -370,6 +609,7 @@ class WebCrawler {
                 }
                 
             } catch (error) {
+                this.inFlight.delete(url);
                 logger.warn(`Failed to scan ${url}:`, error.message);
                 this.failedUrls.add(url);
             }
@@ -386,202 +626,146 @@ class WebCrawler {
         this.scannedUrls.add(url);
         
         try {
-            const page = await this.browser.newPage();
-            await page.setUserAgent(config.PUPPETEER.USER_AGENT);
-            await page.setViewport(config.PUPPETEER.VIEWPORT);
-            
-            // Set timeout
-            page.setDefaultTimeout(config.PUPPETEER.TIMEOUT);
-            
-            // Navigate to page
-            await page.goto(url, { 
-                waitUntil: 'networkidle2',
-                timeout: config.PUPPETEER.TIMEOUT 
-            });
-            
-            // Extract page content and schemas
-            const pageData = await page.evaluate(() => {
-                // Extract page title using multiple methods
-                const extractPageTitle = () => {
-                    // Method 1: HTML title tag
-                    let title = document.title?.trim();
-                    if (title && title !== '') return title;
-                    
-                    // Method 2: WebPage schema name
-                    try {
-                        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-                        for (const script of jsonLdScripts) {
-                            try {
-                                const data = JSON.parse(script.textContent);
-                                const schemas = Array.isArray(data) ? data : [data];
-                                
-                                for (const schema of schemas) {
-                                    if (schema['@type'] === 'WebPage' && schema.name) {
-                                        return schema.name.trim();
-                                    }
-                                    
-                                    if (schema['@graph'] && Array.isArray(schema['@graph'])) {
-                                        for (const item of schema['@graph']) {
-                                            if (item['@type'] === 'WebPage' && item.name) {
-                                                return item.name.trim();
-                                            }
-                                        }
-                                    }
-                                }
-                            } catch (e) {
-                                continue;
-                            }
-                        }
-                    } catch (e) {
-                        // Skip
-                    }
-                    
-                    // Method 3: h1 tag
-                    const h1 = document.querySelector('h1');
-                    if (h1 && h1.textContent?.trim()) {
-                        return h1.textContent.trim();
-                    }
-                    
-                    // Method 4: og:title
-                    const ogTitle = document.querySelector('meta[property="og:title"]');
-                    if (ogTitle && ogTitle.getAttribute('content')?.trim()) {
-                        return ogTitle.getAttribute('content').trim();
-                    }
-                    
-                    return 'Untitled Page';
-                };
-                
-                // Extract schemas
-                const extractSchemas = () => {
-                    const schemas = [];
-                    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-                    
-                    scripts.forEach((script, index) => {
-                        try {
-                            const content = script.textContent.trim();
-                            if (!content) return;
-                            
-                            const parsed = JSON.parse(content);
-                            const schemaArray = Array.isArray(parsed) ? parsed : [parsed];
-                            
-                            schemaArray.forEach((schema, schemaIndex) => {
-                                if (schema && schema['@type']) {
-                                    schemas.push({
-                                        ...schema,
-                                        _extractedFrom: {
-                                            scriptIndex: index,
-                                            schemaIndex: schemaIndex,
-                                            location: `Script ${index + 1}.${schemaIndex + 1}`
-                                        }
-                                    });
-                                }
-                            });
-                        } catch (e) {
-                            console.warn(`Invalid JSON-LD in script ${index}:`, e);
-                        }
-                    });
-                    
-                    return schemas;
-                };
-                
-                // Extract internal links
-                const extractInternalLinks = (baseUrl) => {
-                    const links = new Set();
-                    const linkElements = document.querySelectorAll('a[href], area[href]');
-                    
-                    linkElements.forEach(element => {
-                        try {
-                            const href = element.getAttribute('href');
-                            if (!href) return;
-                            
-                            const absoluteUrl = new URL(href, window.location.href).href;
-                            const linkUrl = new URL(absoluteUrl);
-                            
-                            if (linkUrl.origin === baseUrl) {
-                                linkUrl.hash = '';
-                                linkUrl.search = '';
-                                const cleanUrl = linkUrl.href;
-                                
-                                // Basic URL filtering
-                                const skipPatterns = [
-                                    /\.(pdf|jpg|jpeg|png|gif|svg|css|js|xml|ico|zip)$/i,
-                                    /\/wp-admin\//,
-                                    /\/admin\//,
-                                    /mailto:/,
-                                    /tel:/,
-                                    /javascript:/
-                                ];
-                                
-                                if (!skipPatterns.some(pattern => pattern.test(cleanUrl))) {
-                                    links.add(cleanUrl);
-                                }
-                            }
-                        } catch (e) {
-                            // Skip invalid URLs
-                        }
-                    });
-                    
-                    return Array.from(links);
-                };
-                
-                return {
-                    title: extractPageTitle(),
-                    description: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
-                    canonical: document.querySelector('link[rel="canonical"]')?.getAttribute('href') || window.location.href,
-                    schemas: extractSchemas(),
-                    internalLinks: extractInternalLinks(window.location.origin),
-                    wordCount: document.body?.textContent?.split(/\s+/).length || 0,
-                    hasStructuredData: document.querySelectorAll('script[type="application/ld+json"]').length > 0
-                };
-            });
-            
-            // Store page data
-            this.discoveredPages.set(url, {
-                url,
-                title: pageData.title,
-                description: pageData.description,
-                canonical: pageData.canonical,
-                schemas: pageData.schemas,
-                internalLinks: pageData.internalLinks.length,
-                wordCount: pageData.wordCount,
-                hasStructuredData: pageData.hasStructuredData,
-                scannedAt: new Date().toISOString(),
-                method: 'puppeteer'
-            });
-            
-            // Add new links to scan queue (limited)
-            if (options.followLinks !== false) {
-                const newLinks = pageData.internalLinks.slice(0, 10); // Limit new links per page
-                newLinks.forEach(link => {
-                    if (!this.scannedUrls.has(link) && 
-                        !this.scanQueue.includes(link) && 
-                        !this.failedUrls.has(link) &&
-                        !this.shouldSkipUrl(link)) {
-                        this.scanQueue.push(link);
-                    }
-                });
+            const page = await this.fetchPage(url, options);
+            if (!this.collapseToCanonical(url, page)) {
+                this.recordPage(url, page);
             }
+            this.followLinks(page, options);
             
-            await page.close();
-            logger.info(`Successfully scanned: ${url} (${pageData.schemas.length} schemas)`);
+            logger.info(`Successfully scanned: ${url} (${page.schemas.length} schemas)`);
             
         } catch (error) {
             logger.warn(`Error scanning ${url}:`, error.message);
-            
-            // Store error page data
-            this.discoveredPages.set(url, {
-                url,
-                title: this.generateTitleFromUrl(url),
-                schemas: [],
-                error: error.message,
-                scannedAt: new Date().toISOString(),
-                method: 'failed'
-            });
-            
-            this.failedUrls.add(url);
+            this.recordFailure(url, error);
         }
     }
 
+    /**
+     * Add new links from a scanned page to the scan queue (limited)
+     */
+    followLinks(page, options = {}) {
+        if (options.followLinks === false) return;
+        
+        const newLinks = page.internalLinks.filter(link => !this.shouldSkipUrl(link)).slice(0, 10); // Limit new links per page
+        this.queueLinks(newLinks);
+    }
+
+    /**
+     * With follow_canonical, a page whose rel=canonical names another page of the site is a duplicate of it:
+     * it is left out of the results and the canonical page is scanned next, if it was not already
+     * A canonical page that failed, or was itself collapsed, does not replace the page
+     */
+    collapseToCanonical(url, page) {
+        const canonical = this.canonicalizer.canonicalOf(url, page);
+        if (!canonical) return false;
+        
+        const kept = this.discoveredPages.get(canonical);
+        const pending = !this.scannedUrls.has(canonical) && !this.failedUrls.has(canonical);
+        if (!(kept && !kept.error) && !(pending && !this.shouldSkipUrl(canonical) && this.isAllowedByRobots(canonical))) return false;
+        
+        logger.info(`${url} is a duplicate of its rel=canonical ${canonical}`);
+        this.canonicalizer.addVariant(canonical, url, 'rel_canonical');
+        if (pending) {
+            this.scanQueue = [canonical, ...this.scanQueue.filter(queued => queued !== canonical)];
+        }
+        return true;
+    }
+
+    /**
+     * Fetch a page for a site scan
+     * Incremental scans send the last scan's validators and reuse its result when the server answers 304;
+     * pages that were fetched are compared with the last scan by their JSON-LD hash
+     */
+    async fetchPage(url, options = {}) {
+        const previous = this.incremental ? this.pageCache.get(url) : null;
+        const fetchOptions = this.fetchOptions(options);
+        if (previous) {
+            fetchOptions.conditional = { etag: previous.etag, last_modified: previous.last_modified };
+        }
+        
+        const page = await this.fetcher.fetch(url, fetchOptions);
+        if (!this.incremental) return page;
+        
+        if (page.notModified) {
+            return {
+                ...previous.page,
+                incremental: { status: 'not_modified', previous_fetch: previous.fetched_at }
+            };
+        }
+        
+        let status = 'new';
+        if (previous) {
+            status = this.pageCache.hashJsonLd(page) === previous.jsonld_hash ? 'unchanged' : 'changed';
+        }
+        return {
+            ...page,
+            incremental: { status, previous_fetch: previous ? previous.fetched_at : null }
+        };
+    }
+
+    /**
+     * Remember every page fetched in this scan for the next incremental one
+     * Reused pages keep their entry, and failed pages leave the last good one in place
+     */
+    savePageCache() {
+        this.discoveredPages.forEach((page, url) => {
+            if (page.error || page.incremental?.status === 'not_modified') return;
+            
+            try {
+                const { incremental, ...fetched } = page;
+                this.pageCache.put(url, fetched);
+            } catch (error) {
+                logger.warn(`Could not cache ${url}:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Fetcher options picked from scan options: strategy, render profile, wait strategy and, for replays, the archive
+     */
+    fetchOptions(options = {}) {
+        return {
+            strategy: options.strategy,
+            archive: options.archive,
+            profile: options.render_profile,
+            wait: options.wait
+        };
+    }
+
+    honorsCrawlDelay() {
+        return !this.ignoreRobots && this.robots !== null && this.robots.crawlDelay !== null;
+    }
+
+    /**
+     * Queue links in their canonical form, so URL variants of one page are fetched once
+     */
+    queueLinks(links) {
+        links.map(link => this.canonicalizer.normalize(link)).forEach(link => {
+            if (!this.scannedUrls.has(link) && 
+                !this.scanQueue.includes(link) && 
+                !this.failedUrls.has(link)) {
+                this.scanQueue.push(link);
+            }
+        });
+    }
+
+    /**
+     * Keep a page that could not be fetched, so results show why it is missing
+     */
+    recordFailure(url, error, details = {}) {
+        this.recordPage(url, {
+            url,
+            ...details,
+            title: this.generateTitleFromUrl(url),
+            schemas: [],
+            error: error.message,
+            fetchedAt: new Date().toISOString(),
+            method: 'failed'
+        });
+        
+        this.failedUrls.add(url);
+    }
+
     /**
      * Check if URL should be skipped
      */
@@ -647,18 +831,21 @@ class WebCrawler {
      * Build final site analysis results
      */
     async buildSiteResults(baseUrl) {
-        const pages = Array.from(this.discoveredPages.values());
+        const pages = Array.from(this.discoveredPages.values()).map(page => ({
+            ...page,
+            sitemap: this.sitemapEntries.get(page.url) || null
+        }));
         const allSchemas = [];
         
-        // Collect all schemas with page info
+        // Collect all schemas with the page they were found on, under the key the consistency analyzer reads
         pages.forEach(page => {
             page.schemas.forEach(schema => {
                 allSchemas.push({
                     ...schema,
-                    _pageInfo: {
-                        url: page.url,
-                        title: page.title,
-                        scannedAt: page.scannedAt
+                    _siteMapperInfo: {
+                        foundOnUrl: page.url,
+                        pageTitle: page.title,
+                        fetchedAt: page.fetchedAt
                     }
                 });
             });
@@ -666,9 +853,10 @@ class WebCrawler {
         
         // Generate summary
         const summary = this.generateSiteSummary(pages, allSchemas);
+        const duplicates = this.canonicalizer.report();
         
         return {
-            scanId: generateId(),
+            scanId: this.scanId || uuidv4(),
             timestamp: new Date().toISOString(),
             baseUrl,
             type: 'site_scan',
@@ -684,8 +872,45 @@ class WebCrawler {
                 discovered: this.scannedUrls.size + this.failedUrls.size,
                 scanned: this.scannedUrls.size,
                 failed: this.failedUrls.size,
-                queued: this.scanQueue.length
-            }
+                queued: this.scanQueue.length,
+                skippedByRobots: this.robotsSkipped.size,
+                fromSitemaps: this.sitemapEntries.size,
+                duplicateUrls: duplicates.reduce((total, cluster) => total + cluster.variants.length, 0)
+            },
+            duplicates,
+            sitemaps: this.sitemaps,
+            robots: this.buildRobotsReport(baseUrl),
+            incremental: this.incremental ? this.summarizeIncremental(pages) : null
+        };
+    }
+
+    /**
+     * Pages per incremental status: not_modified (reused), unchanged and changed JSON-LD, and new
+     */
+    summarizeIncremental(pages) {
+        const counts = { not_modified: 0, unchanged: 0, changed: 0, new: 0 };
+        pages.forEach(page => {
+            if (page.incremental) counts[page.incremental.status]++;
+        });
+        return counts;
+    }
+
+    /**
+     * What robots.txt allowed, and each skipped URL with the rule that matched it
+     */
+    buildRobotsReport(baseUrl) {
+        if (!this.robots) return null;
+        
+        return {
+            url: `${baseUrl}/robots.txt`,
+            status: this.robotsStatus,
+            ignored: this.ignoreRobots,
+            unreachable: this.robots.unreachable,
+            userAgent: this.robots.group ? this.robots.group.userAgent : null,
+            crawlDelay: this.robots.crawlDelay,
+            crawlDelayCapped: this.crawlDelayCapped,
+            sitemaps: this.robots.sitemaps,
+            skipped: Array.from(this.robotsSkipped.entries()).map(([url, rule]) => ({ url, rule }))
         };
     }
 
@@ -760,7 +985,22 @@ class WebCrawler {
         this.scannedUrls.clear();
         this.failedUrls.clear();
         this.scanQueue = [];
+        this.inFlight.clear();
         this.isScanning = false;
+        this.robots = null;
+        this.robotsStatus = null;
+        this.ignoreRobots = false;
+        this.crawlDelayCapped = false;
+        this.robotsSkipped.clear();
+        this.sitemapEntries.clear();
+        this.sitemaps = [];
+        this.incremental = false;
+        this.canonicalizer = new UrlCanonicalizer();
+        this.startUrl = null;
+        this.scanOptions = {};
+        this.phase = null;
+        this.startedAt = null;
+        this.lastCheckpoint = 0;
     }
 
     /**
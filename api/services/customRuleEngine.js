@@ -0,0 +1,288 @@
+// api/services/customRuleEngine.js - House Rule Plugins
+// Loads team-specific validation rules (JSON or JS files) and runs them against page entities
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const JsonLdProcessor = require('./jsonLdProcessor');
+const VocabularyValidator = require('./vocabularyValidator');
+const SchemaNormalizer = require('./schemaNormalizer');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const RULE_EXTENSIONS = ['.json', '.js'];
+
+class CustomRuleEngine {
+    constructor(options = {}) {
+        this.dir = options.dir || config.schema.customRules.dir;
+        this.jsonLd = options.jsonLd || new JsonLdProcessor();
+        this.vocabulary = options.vocabulary || new VocabularyValidator({ jsonLd: this.jsonLd });
+        this.normalizer = new SchemaNormalizer();
+
+        this.rules = [];
+        this.loadErrors = [];
+        this.load();
+    }
+
+    /**
+     * Read every rule file in the rules directory; broken files are reported, not fatal
+     * A file may hold one rule, an array of rules or { "rules": [...] }
+     */
+    load() {
+        this.rules = [];
+        this.loadErrors = [];
+        if (!fs.existsSync(this.dir)) return;
+
+        fs.readdirSync(this.dir)
+            .filter(name => RULE_EXTENSIONS.includes(path.extname(name)))
+            .sort()
+            .forEach(name => {
+                const file = path.join(this.dir, name);
+                try {
+                    const exported = path.extname(name) === '.js'
+                        ? this.requireFresh(file)
+                        : JSON.parse(fs.readFileSync(file, 'utf8'));
+                    const definitions = Array.isArray(exported) ? exported : exported.rules || [exported];
+
+                    definitions.forEach((definition, index) => {
+                        this.rules.push(this.compileRule(definition, name, index));
+                    });
+                } catch (error) {
+                    this.loadErrors.push({ file: name, error: error.message });
+                }
+            });
+
+        const seen = new Set();
+        this.rules = this.rules.filter(rule => {
+            if (seen.has(rule.id)) {
+                this.loadErrors.push({ file: rule.file, error: `Duplicate rule id "${rule.id}" ignored` });
+                return false;
+            }
+            seen.add(rule.id);
+            return true;
+        });
+    }
+
+    requireFresh(file) {
+        delete require.cache[require.resolve(file)];
+        return require(file);
+    }
+
+    compileRule(definition, file, index) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`Rule ${index + 1} is not an object`);
+        }
+
+        const id = definition.id || `${path.basename(file, path.extname(file))}#${index + 1}`;
+        const severity = definition.severity || 'warning';
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Rule "${id}" has unknown severity "${severity}" (expected ${SEVERITIES.join(', ')})`);
+        }
+        if (typeof definition.assert !== 'function' && (!definition.assert || typeof definition.assert !== 'object')) {
+            throw new Error(`Rule "${id}" needs an assert object or function`);
+        }
+
+        const selector = definition.selector || {};
+        return {
+            id,
+            file,
+            description: definition.description || definition.message || '',
+            severity,
+            message: definition.message || `Rule "${id}" failed`,
+            docs: definition.docs || null,
+            types: [].concat(selector.type || []),
+            urlPattern: selector.url ? new RegExp(selector.url) : null,
+            assert: definition.assert
+        };
+    }
+
+    /**
+     * Loaded rules as listed by the API
+     */
+    listRules() {
+        return this.rules.map(rule => ({
+            id: rule.id,
+            file: rule.file,
+            description: rule.description,
+            severity: rule.severity,
+            docs: rule.docs,
+            selector: {
+                type: rule.types.length > 0 ? rule.types : null,
+                url: rule.urlPattern ? rule.urlPattern.source : null
+            },
+            kind: typeof rule.assert === 'function' ? 'js' : 'json'
+        }));
+    }
+
+    /**
+     * Run the rules whose URL selector matches the page against each entity
+     * Entities should be normalized but not expanded, so rules still see prefixes as written
+     */
+    evaluate(schemas, context = {}) {
+        const url = context.url || '';
+        const activeRules = this.rules.filter(rule => !rule.urlPattern || (url && rule.urlPattern.test(url)));
+        const violations = [];
+        const checked = new Map(activeRules.map(rule => [rule.id, 0]));
+
+        (schemas || []).forEach((schema, index) => {
+            if (!schema || typeof schema !== 'object') return;
+
+            activeRules.filter(rule => this.matchesType(rule, schema)).forEach(rule => {
+                checked.set(rule.id, checked.get(rule.id) + 1);
+
+                this.runAssertion(rule, schema, { url, schemas }).forEach(failure => {
+                    violations.push({
+                        rule_id: rule.id,
+                        severity: rule.severity,
+                        message: failure.message || rule.message,
+                        schema_index: index,
+                        type: [].concat(schema['@type'] || []).join(', ') || null,
+                        id: schema['@id'] || null,
+                        location: schema._extractedFrom?.location || null,
+                        path: String(failure.property || '').split('.').filter(Boolean)
+                            .reduce((current, step) => this.normalizer.appendPath(current, step), schema._extractedFrom?.path || '$')
+                    });
+                });
+            });
+        });
+
+        return {
+            active_rules: activeRules.map(rule => ({
+                id: rule.id,
+                severity: rule.severity,
+                description: rule.description,
+                docs: rule.docs,
+                entities_checked: checked.get(rule.id),
+                violations: violations.filter(violation => violation.rule_id === rule.id).length
+            })),
+            violations,
+            load_errors: this.loadErrors
+        };
+    }
+
+    matchesType(rule, schema) {
+        if (rule.types.length === 0) return true;
+
+        const types = this.jsonLd.getTypeIris(schema).map(iri => this.jsonLd.compactIri(iri));
+        return types.some(type => rule.types.some(wanted =>
+            type === wanted || (this.vocabulary.isKnownType(type) && this.vocabulary.isSubtypeOf(type, wanted))
+        ));
+    }
+
+    /**
+     * Returns the failures of one rule on one entity: [] when it passes
+     * JS assertions may return true/false, a message, or a list of messages
+     */
+    runAssertion(rule, schema, context) {
+        if (typeof rule.assert === 'function') {
+            let outcome;
+            try {
+                outcome = rule.assert(schema, {
+                    ...context,
+                    get: (node, propertyPath) => this.getValues(node, propertyPath)[0],
+                    getAll: (node, propertyPath) => this.getValues(node, propertyPath)
+                });
+            } catch (error) {
+                return [{ message: `Rule "${rule.id}" threw: ${error.message}` }];
+            }
+
+            if (outcome === true || outcome === undefined || outcome === null) return [];
+            if (outcome === false) return [{}];
+            return [].concat(outcome).map(message => ({ message: String(message) }));
+        }
+
+        return this.checkAssertion(rule.assert, schema);
+    }
+
+    /**
+     * Declarative assertions:
+     * { property, exists | equals | oneOf | pattern | notPattern }, { forbidPattern }, { all: [...] }, { any: [...] }
+     */
+    checkAssertion(assertion, node) {
+        if (assertion.all) {
+            return assertion.all.flatMap(child => this.checkAssertion(child, node));
+        }
+
+        if (assertion.any) {
+            const outcomes = assertion.any.map(child => this.checkAssertion(child, node));
+            return outcomes.some(failures => failures.length === 0) ? [] : [{ message: assertion.message }];
+        }
+
+        if (assertion.forbidPattern) {
+            const pattern = new RegExp(assertion.forbidPattern);
+            const offending = this.collectStrings(node).find(text => pattern.test(text));
+            return offending === undefined ? [] : [{ message: assertion.message || `"${offending}" matches the forbidden pattern ${pattern}` }];
+        }
+
+        const property = assertion.property;
+        const values = this.getValues(node, property);
+        const fail = detail => [{ property, message: assertion.message || detail }];
+
+        if (assertion.exists !== undefined) {
+            if (assertion.exists && values.length === 0) return fail(`"${property}" is missing`);
+            if (!assertion.exists && values.length > 0) return fail(`"${property}" must not be set`);
+        }
+
+        const present = values.filter(value => typeof value !== 'object');
+        if (assertion.equals !== undefined && !present.some(value => value === assertion.equals)) {
+            return fail(`"${property}" must be "${assertion.equals}"${present.length > 0 ? `, found "${present.join('", "')}"` : ''}`);
+        }
+        if (assertion.oneOf && !present.some(value => assertion.oneOf.includes(value))) {
+            return fail(`"${property}" must be one of ${assertion.oneOf.join(', ')}`);
+        }
+        if (assertion.pattern) {
+            const pattern = new RegExp(assertion.pattern);
+            const mismatch = present.find(value => !pattern.test(String(value)));
+            if (present.length === 0 || mismatch !== undefined) {
+                return fail(`"${property}" must match ${pattern}${mismatch !== undefined ? `, found "${mismatch}"` : ''}`);
+            }
+        }
+        if (assertion.notPattern) {
+            const pattern = new RegExp(assertion.notPattern);
+            const match = present.find(value => pattern.test(String(value)));
+            if (match !== undefined) return fail(`"${property}" must not match ${pattern}, found "${match}"`);
+        }
+
+        return [];
+    }
+
+    /**
+     * Values at a dotted path such as "publisher.@id"; arrays are flattened and
+     * each step matches the property however its key is written (name, schema:name, IRI)
+     */
+    getValues(node, propertyPath) {
+        let current = [node];
+
+        String(propertyPath || '').split('.').filter(Boolean).forEach(step => {
+            current = current
+                .flatMap(value => {
+                    if (!value || typeof value !== 'object') return [];
+                    const next = this.jsonLd.getPropertyValue(value, step);
+                    return next === undefined ? [] : [].concat(next);
+                })
+                .map(value => value && typeof value === 'object' && '@value' in value ? value['@value'] : value)
+                .filter(value => value !== null && value !== undefined && value !== '');
+        });
+
+        return current;
+    }
+
+    /**
+     * Keys, types and string values anywhere in a node, for forbidPattern
+     */
+    collectStrings(value, strings = []) {
+        if (typeof value === 'string') {
+            strings.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(item => this.collectStrings(item, strings));
+        } else if (value && typeof value === 'object') {
+            Object.keys(value).forEach(key => {
+                if (key.startsWith('_') || key === '@context') return;
+                strings.push(key);
+                this.collectStrings(value[key], strings);
+            });
+        }
+        return strings;
+    }
+}
+
+module.exports = CustomRuleEngine;
@@ -0,0 +1,155 @@
+// api/services/issueCatalog.js - Unified Issue Model
+// One catalog of rule IDs so every producer reports issues in the same shape
+
+const SchemaNormalizer = require('./schemaNormalizer');
+
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+const GOOGLE_DOCS = 'https://developers.google.com/search/docs/appearance/structured-data';
+
+// Built-in rules; a key ending in ".*" covers a family whose last segment is chosen by the producer
+const RULES = {
+    'analysis.error': { category: 'analysis', severity: 'high', title: 'Analysis Error' },
+
+    'syntax.invalid-json-ld': { category: 'syntax', severity: 'high', title: 'Invalid JSON-LD Syntax', docs: 'https://www.w3.org/TR/json-ld11/' },
+
+    'coverage.no-structured-data': { category: 'coverage', severity: 'high', title: 'No Schemas Found', docs: `${GOOGLE_DOCS}/intro-structured-data` },
+    'coverage.missing-webpage': { category: 'coverage', severity: 'high', title: 'Missing WebPage Schema', docs: 'https://schema.org/WebPage' },
+    'coverage.missing-organization': { category: 'coverage', severity: 'high', title: 'Missing Organization Schema', docs: `${GOOGLE_DOCS}/organization` },
+    'coverage.missing-breadcrumb': { category: 'coverage', severity: 'medium', title: 'Missing BreadcrumbList', docs: `${GOOGLE_DOCS}/breadcrumb` },
+    'coverage.missing-type': { category: 'coverage', severity: 'medium', title: 'Missing Schema Type' },
+    'coverage.unexpected-page': { category: 'coverage', severity: 'medium', title: 'Schema on an Unexpected Page' },
+
+    'id.missing': { category: 'id', severity: 'high', title: 'Missing @id', docs: 'https://www.w3.org/TR/json-ld11/#node-identifiers' },
+    'id.inconsistent': { category: 'id', severity: 'high', title: 'Inconsistent @id Usage', docs: 'https://www.w3.org/TR/json-ld11/#node-identifiers' },
+    'id.non-standard-pattern': { category: 'id', severity: 'medium', title: 'Non-standard @id Pattern', docs: 'https://www.w3.org/TR/json-ld11/#node-identifiers' },
+    'id.low-consistency': { category: 'id', severity: 'high', title: 'Poor @id Consistency' },
+    'id.property-conflict': { category: 'id', severity: 'medium', title: 'Conflicting Entity Definitions' },
+    'id.consistent': { category: 'id', severity: 'info', title: 'Excellent Consistency' },
+
+    'vocabulary.unknown-type': { category: 'vocabulary', severity: 'high', title: 'Unknown Schema Type', docs: 'https://schema.org/docs/full.html' },
+    'vocabulary.unknown-property': { category: 'vocabulary', severity: 'medium', title: 'Unknown Schema Property', docs: 'https://schema.org/docs/full.html' },
+    'vocabulary.property-not-in-domain': { category: 'vocabulary', severity: 'medium', title: 'Property Used on the Wrong Type', docs: 'https://schema.org/docs/datamodel.html' },
+    'vocabulary.value-out-of-range': { category: 'vocabulary', severity: 'medium', title: 'Property Value of the Wrong Type', docs: 'https://schema.org/docs/datamodel.html' },
+
+    'values.invalid-date': { category: 'values', severity: 'high', title: 'Invalid Date', docs: 'https://schema.org/Date' },
+    'values.invalid-time': { category: 'values', severity: 'medium', title: 'Invalid Time', docs: 'https://schema.org/Time' },
+    'values.invalid-duration': { category: 'values', severity: 'high', title: 'Invalid Duration', docs: 'https://schema.org/Duration' },
+    'values.invalid-url': { category: 'values', severity: 'high', title: 'Invalid URL', docs: 'https://schema.org/URL' },
+    'values.relative-url': { category: 'values', severity: 'medium', title: 'Relative URL', docs: 'https://schema.org/URL' },
+    'values.invalid-currency': { category: 'values', severity: 'high', title: 'Invalid Currency Code', docs: 'https://schema.org/priceCurrency' },
+    'values.invalid-price': { category: 'values', severity: 'high', title: 'Invalid Price', docs: 'https://schema.org/price' },
+    'values.invalid-rating': { category: 'values', severity: 'high', title: 'Invalid Rating', docs: 'https://schema.org/ratingValue' },
+    'values.rating-out-of-range': { category: 'values', severity: 'high', title: 'Rating Outside Its Scale', docs: 'https://schema.org/ratingValue' },
+    'values.invalid-telephone': { category: 'values', severity: 'low', title: 'Non-International Phone Number', docs: 'https://schema.org/telephone' },
+
+    'rich-results.*': { category: 'rich-results', severity: 'high', title: 'Not Eligible for Rich Results', docs: `${GOOGLE_DOCS}/search-gallery` },
+    'rich-results.opportunity': { category: 'rich-results', severity: 'low', title: 'Rich Result Opportunity', docs: `${GOOGLE_DOCS}/search-gallery` },
+
+    'content.headline-mismatch': { category: 'content', severity: 'high', title: 'Markup/Content Mismatch: Headline', docs: `${GOOGLE_DOCS}/sd-policies` },
+    'content.price-mismatch': { category: 'content', severity: 'high', title: 'Markup/Content Mismatch: Price', docs: `${GOOGLE_DOCS}/sd-policies` },
+    'content.faq-mismatch': { category: 'content', severity: 'high', title: 'Markup/Content Mismatch: FAQ', docs: `${GOOGLE_DOCS}/sd-policies` },
+    'content.rating-mismatch': { category: 'content', severity: 'high', title: 'Markup/Content Mismatch: Rating', docs: `${GOOGLE_DOCS}/sd-policies` },
+
+    'rendering.javascript-dependent': { category: 'rendering', severity: 'medium', title: 'JavaScript-Dependent Structured Data', docs: `${GOOGLE_DOCS}/generate-structured-data-with-javascript` },
+
+    'relationships.orphaned-entity': { category: 'relationships', severity: 'medium', title: 'Orphaned Entity' },
+    'relationships.broken-reference': { category: 'relationships', severity: 'high', title: 'Broken Entity Reference' },
+
+    'seo.missing-image': { category: 'seo', severity: 'medium', title: 'Missing Image', docs: 'https://schema.org/image' },
+    'seo.missing-description': { category: 'seo', severity: 'low', title: 'Missing Description', docs: 'https://schema.org/description' },
+
+    'custom.*': { category: 'custom', severity: 'medium', title: 'Custom Rule' }
+};
+
+class IssueCatalog {
+    constructor() {
+        this.normalizer = new SchemaNormalizer();
+    }
+
+    /**
+     * Definition for a rule ID, falling back to the longest family it starts with ("rich-results.faq" -> "rich-results.*")
+     * The chosen part may itself contain dots, as custom rule IDs often do ("custom.acme.product-gtin13" -> "custom.*")
+     */
+    getRule(ruleId) {
+        if (RULES[ruleId]) return RULES[ruleId];
+
+        const family = Object.keys(RULES)
+            .filter(key => key.endsWith('.*') && ruleId.length > key.length - 1 && ruleId.startsWith(key.slice(0, -1)))
+            .sort((a, b) => b.length - a.length)[0];
+        if (family) return RULES[family];
+
+        throw new Error(`Unknown issue rule "${ruleId}"`);
+    }
+
+    /**
+     * Build an issue; fields override the rule's defaults
+     * Every issue has the same keys so consumers can filter without checking for them
+     */
+    create(ruleId, fields = {}) {
+        const rule = this.getRule(ruleId);
+        const severity = fields.severity || rule.severity;
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Issue "${ruleId}" has unknown severity "${severity}"`);
+        }
+
+        return {
+            rule_id: ruleId,
+            severity,
+            category: rule.category,
+            title: fields.title || rule.title,
+            message: fields.message || rule.title,
+            page: fields.page || null,
+            entity: fields.entity || null,
+            path: fields.path || null,
+            location: fields.location || null,
+            fix: fields.fix || null,
+            docs: fields.docs || rule.docs || null,
+            context: fields.context || null
+        };
+    }
+
+    /**
+     * Entity, JSON path and location fields for an issue about one schema
+     */
+    locate(schema, property) {
+        const basePath = schema?._extractedFrom?.path || '$';
+
+        return {
+            page: schema?._siteMapperInfo?.foundOnUrl || null,
+            entity: this.describeEntity(schema),
+            path: property ? this.normalizer.appendPath(basePath, property) : basePath,
+            location: schema?._extractedFrom?.location || null
+        };
+    }
+
+    /**
+     * The { type, id } an issue is filed against; nested findings are filed against their top-level entity
+     */
+    describeEntity(schema) {
+        const type = [].concat(schema?.['@type'] || []).join(', ');
+        return { type: type || null, id: schema?.['@id'] || null };
+    }
+
+    /**
+     * Most severe first; the sort is stable so producers keep their own order within a severity
+     */
+    sort(issues) {
+        return [...issues].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    }
+
+    /**
+     * Rule IDs with their defaults, for documentation and the API
+     */
+    listRules() {
+        return Object.entries(RULES).map(([ruleId, rule]) => ({
+            rule_id: ruleId,
+            category: rule.category,
+            severity: rule.severity,
+            title: rule.title,
+            docs: rule.docs || null
+        }));
+    }
+}
+
+module.exports = IssueCatalog;
@@ -0,0 +1,277 @@
+// api/services/jsonLdDiagnostics.js - JSON-LD Syntax Error Diagnostics
+// Locates parse failures in script blocks and suggests repaired versions
+
+const HTML_ENTITIES = {
+    quot: '"',
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    apos: "'",
+    nbsp: ' '
+};
+
+const CONTROL_ESCAPES = {
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t'
+};
+
+class JsonLdDiagnostics {
+    constructor() {
+        // Applied in order; each repair only runs while the block still fails to parse
+        this.repairs = [
+            {
+                code: 'cdata_wrapper',
+                message: 'Block is wrapped in CDATA or HTML comment markers',
+                apply: text => this.stripWrappers(text)
+            },
+            {
+                code: 'html_entities',
+                message: 'Block contains HTML-encoded characters such as &quot;',
+                apply: text => this.decodeEntities(text)
+            },
+            {
+                code: 'trailing_comma',
+                message: 'Trailing comma before a closing } or ]',
+                apply: text => this.removeTrailingCommas(text)
+            },
+            {
+                code: 'unescaped_quotes',
+                message: 'Unescaped double quote inside a string value',
+                heuristic: true,
+                apply: text => this.escapeStrings(text, { quotes: true, controls: false })
+            },
+            {
+                code: 'control_characters',
+                message: 'Raw line break or tab inside a string value',
+                apply: text => this.escapeStrings(text, { quotes: false, controls: true })
+            }
+        ];
+    }
+
+    /**
+     * Diagnose a JSON-LD block that failed to parse
+     */
+    diagnose(content, scriptIndex, error = null) {
+        const text = content || '';
+        const parseError = error || this.getParseError(text);
+        const position = this.getErrorPosition(parseError, text);
+        const { line, column } = this.getLineColumn(text, position);
+
+        const repair = this.suggestRepair(text);
+
+        return {
+            script_index: scriptIndex,
+            error: parseError ? parseError.message : 'Unknown parse error',
+            line,
+            column,
+            position,
+            snippet: this.buildSnippet(text, line, column),
+            issues: repair.issues,
+            repaired: repair.repaired,
+            repaired_parses: repair.repaired !== null
+        };
+    }
+
+    getParseError(text) {
+        try {
+            JSON.parse(text);
+            return null;
+        } catch (error) {
+            return error;
+        }
+    }
+
+    /**
+     * Read the character offset from a V8 JSON.parse error message
+     */
+    getErrorPosition(error, text) {
+        if (!error) return 0;
+
+        const positionMatch = error.message.match(/at position (\d+)/);
+        if (positionMatch) return parseInt(positionMatch[1], 10);
+
+        const lineMatch = error.message.match(/\(line (\d+) column (\d+)\)/);
+        if (lineMatch) {
+            const lines = text.split('\n');
+            const line = parseInt(lineMatch[1], 10);
+            const offset = lines.slice(0, line - 1).reduce((sum, current) => sum + current.length + 1, 0);
+            return offset + parseInt(lineMatch[2], 10) - 1;
+        }
+
+        // Newer V8 reports: Unexpected token 'x', ..."excerpt"... is not valid JSON
+        const excerptMatch = error.message.match(/^Unexpected token '(.+?)', (?:\.\.\.)?"([\s\S]*?)"(?:\.\.\.)? is not valid JSON/);
+        if (excerptMatch) {
+            const start = text.indexOf(excerptMatch[2]);
+            if (start !== -1) return start + Math.max(0, excerptMatch[2].indexOf(excerptMatch[1]));
+        }
+
+        // "Unexpected end of JSON input" and similar point past the last character
+        return text.length;
+    }
+
+    getLineColumn(text, position) {
+        const before = text.substring(0, position);
+        const lines = before.split('\n');
+        return {
+            line: lines.length,
+            column: lines[lines.length - 1].length + 1
+        };
+    }
+
+    /**
+     * Show the failing line with one line of context on each side and a caret
+     */
+    buildSnippet(text, line, column) {
+        const lines = text.split('\n');
+        const start = Math.max(1, line - 1);
+        const end = Math.min(lines.length, line + 1);
+        const width = String(end).length;
+        const output = [];
+
+        for (let current = start; current <= end; current++) {
+            const content = (lines[current - 1] || '').replace(/\r$/, '');
+            output.push(`${String(current).padStart(width)} | ${content.length > 160 ? content.substring(0, 160) + '…' : content}`);
+            if (current === line) {
+                output.push(`${' '.repeat(width)} | ${' '.repeat(Math.max(0, Math.min(column - 1, 160)))}^`);
+            }
+        }
+
+        return output.join('\n');
+    }
+
+    /**
+     * Try the known repairs in order until the block parses
+     */
+    suggestRepair(text) {
+        const issues = [];
+        let current = text;
+
+        for (const repair of this.repairs) {
+            if (this.getParseError(current) === null) break;
+
+            const next = repair.apply(current);
+            if (next !== current) {
+                issues.push(repair);
+                current = next;
+            }
+        }
+
+        const describe = list => list.map(({ code, message }) => ({ code, message }));
+
+        // Guessed quote fixes are only worth reporting when they produce valid JSON
+        if (issues.length === 0 || this.getParseError(current) !== null) {
+            return { issues: describe(issues.filter(repair => !repair.heuristic)), repaired: null };
+        }
+
+        return {
+            issues: describe(issues),
+            repaired: JSON.stringify(JSON.parse(current), null, 2)
+        };
+    }
+
+    stripWrappers(text) {
+        const opening = /^\s*(\/\/\s*)?(<!\[CDATA\[|<!--)/;
+        const closing = /(\/\/\s*)?(\]\]>|-->)\s*$/;
+        if (!opening.test(text) && !closing.test(text)) return text;
+
+        return text.replace(opening, '').replace(closing, '');
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.substring(2), 16)
+                    : parseInt(entity.substring(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            const decoded = HTML_ENTITIES[entity.toLowerCase()];
+            return decoded !== undefined ? decoded : match;
+        });
+    }
+
+    /**
+     * Drop commas directly followed by } or ], ignoring string contents
+     */
+    removeTrailingCommas(text) {
+        let result = '';
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                result += char;
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === ',') {
+                const next = this.nextSignificantChar(text, i + 1);
+                if (next === '}' || next === ']') continue;
+            }
+
+            result += char;
+        }
+
+        return result;
+    }
+
+    /**
+     * Escape stray quotes and raw control characters inside strings
+     * A quote only closes a string when the next significant character is , : } ] or the end
+     */
+    escapeStrings(text, options) {
+        let result = '';
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (!inString) {
+                if (char === '"') inString = true;
+                result += char;
+                continue;
+            }
+
+            if (escaped) {
+                escaped = false;
+                result += char;
+            } else if (char === '\\') {
+                escaped = true;
+                result += char;
+            } else if (char === '"') {
+                const next = this.nextSignificantChar(text, i + 1);
+                const closes = next === null || [',', ':', '}', ']'].includes(next);
+                if (closes || !options.quotes) {
+                    inString = false;
+                    result += char;
+                } else {
+                    result += '\\"';
+                }
+            } else if (options.controls && CONTROL_ESCAPES[char]) {
+                result += CONTROL_ESCAPES[char];
+            } else {
+                result += char;
+            }
+        }
+
+        return result;
+    }
+
+    nextSignificantChar(text, start) {
+        for (let i = start; i < text.length; i++) {
+            if (!/\s/.test(text[i])) return text[i];
+        }
+        return null;
+    }
+}
+
+module.exports = JsonLdDiagnostics;
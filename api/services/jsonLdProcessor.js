@@ -0,0 +1,248 @@
+// api/services/jsonLdProcessor.js - Offline JSON-LD Expansion & Compaction
+// Resolves contexts, prefixes and aliases against a bundled schema.org context
+
+const fs = require('fs');
+const path = require('path');
+const jsonld = require('jsonld');
+
+const SCHEMA_ORG_VOCAB = 'https://schema.org/';
+const SCHEMA_ORG_CONTEXT_URL = 'https://schema.org';
+const CONTEXT_FILE = path.join(__dirname, '..', '..', 'data', 'contexts', 'schemaorg.jsonld');
+
+// Every URL schema.org publishes its context under, with or without TLS
+const SCHEMA_ORG_CONTEXT_PATTERN = /^https?:\/\/schema\.org\/?(docs\/jsonldcontext\.json(ld)?)?$/i;
+const HTTP_SCHEMA_ORG_PATTERN = /^http:\/\/schema\.org\//i;
+
+class JsonLdProcessor {
+    constructor(options = {}) {
+        this.contextDocument = JSON.parse(fs.readFileSync(options.contextFile || CONTEXT_FILE, 'utf8'));
+
+        // Compaction must not use the "type"/"id" aliases or keys come back aliased
+        const { type, id, ...compactionContext } = this.contextDocument['@context'];
+        this.compactionContext = { '@context': compactionContext };
+        this.prefixes = Object.fromEntries(
+            Object.entries(compactionContext).filter(([term, value]) =>
+                !term.startsWith('@') && typeof value === 'string'
+            )
+        );
+
+        this.documentLoader = this.createDocumentLoader();
+    }
+
+    /**
+     * Serve the bundled schema.org context; any other remote context is refused
+     */
+    createDocumentLoader() {
+        return async (url) => {
+            if (SCHEMA_ORG_CONTEXT_PATTERN.test(url)) {
+                return {
+                    contextUrl: null,
+                    documentUrl: url,
+                    document: this.contextDocument
+                };
+            }
+
+            throw new Error(`Remote context not available offline: ${url}`);
+        };
+    }
+
+    /**
+     * Expand and re-compact schema nodes so terms, types and @ids read canonically
+     * Nodes without a @context are read as schema.org; nodes that fail to expand
+     * are returned unchanged with _jsonLdError set
+     */
+    async process(schemas) {
+        const processed = [];
+
+        for (const schema of schemas || []) {
+            if (!schema || typeof schema !== 'object') continue;
+            processed.push(await this.processNode(schema));
+        }
+
+        return processed;
+    }
+
+    async processNode(schema) {
+        const metadata = {};
+        const document = {};
+
+        Object.keys(schema).forEach(key => {
+            if (key.startsWith('_')) {
+                metadata[key] = schema[key];
+            } else {
+                document[key] = schema[key];
+            }
+        });
+
+        try {
+            const expanded = await this.expand(document);
+            const compacted = await jsonld.compact(expanded, this.compactionContext, {
+                documentLoader: this.documentLoader
+            });
+
+            const { '@context': context, ...node } = compacted;
+            return {
+                '@context': SCHEMA_ORG_CONTEXT_URL,
+                ...this.restoreShape(node, document),
+                ...metadata
+            };
+        } catch (error) {
+            // jsonld wraps document loader failures; surface the underlying reason
+            const cause = error.details?.cause;
+            return { ...schema, _jsonLdError: cause?.message || error.message };
+        }
+    }
+
+    /**
+     * Give a compacted node back the shape it was authored in
+     * - arrays stay arrays, even with one item (compaction collapses them)
+     * - keys keep their authored order (compaction sorts them)
+     * - schema.org compact IRIs become plain terms: compaction keeps "schema:url" prefixed
+     *   when its value does not fit the term's coercion, e.g. a literal where the context expects an @id
+     */
+    restoreShape(node, authored) {
+        if (Array.isArray(node)) {
+            const items = Array.isArray(authored) ? authored : [];
+            return node.map((item, index) => this.restoreShape(item, items[index]));
+        }
+        if (!node || typeof node !== 'object' || '@value' in node) return node;
+
+        const source = authored && typeof authored === 'object' && !Array.isArray(authored) ? authored : {};
+        const authoredKeys = Object.keys(source).filter(key => !key.startsWith('_') && key !== '@context');
+        const authoredIri = key => (key.startsWith('@') ? key : this.toIri(key));
+        const authoredValue = iri => {
+            const key = authoredKeys.find(candidate => authoredIri(candidate) === iri);
+            return key === undefined ? undefined : source[key];
+        };
+        const order = iri => {
+            const index = authoredKeys.findIndex(candidate => authoredIri(candidate) === iri);
+            return index === -1 ? authoredKeys.length : index;
+        };
+
+        const entries = Object.keys(node).map(key => {
+            const iri = authoredIri(key);
+            const plain = key.startsWith('@') ? key : this.compactIri(key);
+            const original = authoredValue(iri);
+
+            let value = this.restoreShape(node[key], original);
+            if (Array.isArray(original) && !Array.isArray(value)) {
+                value = [this.restoreShape(node[key], original[0])];
+            }
+            return { key: plain.includes(':') ? key : plain, iri, value };
+        });
+
+        const result = {};
+        entries
+            .sort((a, b) => order(a.iri) - order(b.iri))
+            .forEach(({ key, value }) => {
+                // "url" and "schema:url" side by side name the same property
+                result[key] = key in result ? [].concat(result[key], value) : value;
+            });
+        return result;
+    }
+
+    /**
+     * Expand a document to full IRIs, folding http://schema.org onto https://schema.org
+     */
+    async expand(document) {
+        const expanded = await jsonld.expand(document, {
+            documentLoader: this.documentLoader,
+            expandContext: SCHEMA_ORG_CONTEXT_URL
+        });
+
+        return this.canonicalizeIris(expanded);
+    }
+
+    canonicalizeIris(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.canonicalizeIris(item));
+        }
+
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            const item = value[key];
+
+            if (key === '@value' || key === '@language' || key === '@direction') {
+                result[key] = item;
+            } else if (key === '@id') {
+                result[key] = this.canonicalizeIri(item);
+            } else if (key === '@type') {
+                result[key] = Array.isArray(item)
+                    ? item.map(type => this.canonicalizeIri(type))
+                    : this.canonicalizeIri(item);
+            } else {
+                result[this.canonicalizeIri(key)] = this.canonicalizeIris(item);
+            }
+        });
+        return result;
+    }
+
+    canonicalizeIri(iri) {
+        return typeof iri === 'string' ? iri.replace(HTTP_SCHEMA_ORG_PATTERN, SCHEMA_ORG_VOCAB) : iri;
+    }
+
+    /**
+     * Resolve a term, compact IRI or IRI to a full canonical IRI
+     */
+    toIri(term) {
+        if (typeof term !== 'string' || !term || term.startsWith('@')) return term;
+
+        const colonIndex = term.indexOf(':');
+        if (colonIndex > 0) {
+            const prefix = term.substring(0, colonIndex);
+            const suffix = term.substring(colonIndex + 1);
+            if (this.prefixes[prefix] && !suffix.startsWith('//')) {
+                return this.canonicalizeIri(this.prefixes[prefix] + suffix);
+            }
+            return this.canonicalizeIri(term);
+        }
+
+        return SCHEMA_ORG_VOCAB + term;
+    }
+
+    /**
+     * Shorten schema.org IRIs back to their terms for display and lookups
+     */
+    compactIri(iri) {
+        const canonical = this.toIri(iri);
+        return typeof canonical === 'string' && canonical.startsWith(SCHEMA_ORG_VOCAB)
+            ? canonical.substring(SCHEMA_ORG_VOCAB.length)
+            : canonical;
+    }
+
+    getTypeIris(schema) {
+        if (!schema || typeof schema !== 'object') return [];
+        return [].concat(schema['@type'] || []).map(type => this.toIri(type));
+    }
+
+    getPropertyIris(schema) {
+        if (!schema || typeof schema !== 'object') return [];
+        return Object.keys(schema)
+            .filter(key => !key.startsWith('@') && !key.startsWith('_'))
+            .map(key => this.toIri(key));
+    }
+
+    /**
+     * Read a property value by IRI, whichever key form the node uses
+     */
+    getPropertyValue(schema, property) {
+        if (!schema || typeof schema !== 'object') return undefined;
+        if (property.startsWith('@')) return schema[property];
+
+        const iri = this.toIri(property);
+        const key = Object.keys(schema).find(candidate =>
+            !candidate.startsWith('@') && !candidate.startsWith('_') && this.toIri(candidate) === iri
+        );
+        return key === undefined ? undefined : schema[key];
+    }
+
+    hasType(schema, type) {
+        return this.getTypeIris(schema).includes(this.toIri(type));
+    }
+}
+
+module.exports = JsonLdProcessor;
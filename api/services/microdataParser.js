@@ -0,0 +1,210 @@
+// api/services/microdataParser.js - HTML Microdata Parser
+// Converts itemscope/itemprop trees into JSON-LD shaped schema objects
+
+const cheerio = require('cheerio');
+
+const SCHEMA_ORG_PATTERN = /^https?:\/\/schema\.org\//i;
+
+// Elements whose Microdata value comes from a URL attribute rather than text
+const URL_VALUE_ATTRIBUTES = {
+    a: 'href',
+    area: 'href',
+    link: 'href',
+    audio: 'src',
+    embed: 'src',
+    iframe: 'src',
+    img: 'src',
+    source: 'src',
+    track: 'src',
+    video: 'src',
+    object: 'data'
+};
+
+class MicrodataParser {
+    /**
+     * Extract all top-level Microdata items from a document
+     * Accepts raw HTML or an already loaded cheerio instance
+     */
+    parse(html, pageUrl = '') {
+        const $ = typeof html === 'string' ? cheerio.load(html) : html;
+        const items = [];
+
+        const order = new Map();
+        $('*').each((index, element) => order.set(element, index));
+        const context = { $, pageUrl, order };
+
+        // Top-level items are itemscopes that are not themselves a property value
+        $('[itemscope]').not('[itemprop]').each((index, element) => {
+            const item = this.parseItem(context, element, new Set());
+            if (!item['@type']) return;
+
+            items.push({
+                ...item,
+                _extractedFrom: {
+                    syntax: 'microdata',
+                    itemIndex: index,
+                    location: `Microdata item ${index + 1}`
+                }
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * Convert a single itemscope element into a schema object
+     */
+    parseItem(context, element, memory) {
+        const { $, pageUrl } = context;
+        const $element = $(element);
+        memory.add(element);
+
+        const item = {};
+        const types = this.splitTokens($element.attr('itemtype'));
+
+        if (types.length > 0) {
+            item['@context'] = SCHEMA_ORG_PATTERN.test(types[0])
+                ? 'https://schema.org'
+                : this.getVocabulary(types[0]);
+            const shortTypes = types.map(type => this.shortenTerm(type));
+            item['@type'] = shortTypes.length === 1 ? shortTypes[0] : shortTypes;
+        }
+
+        const itemId = $element.attr('itemid');
+        if (itemId) {
+            item['@id'] = this.resolveUrl(itemId.trim(), pageUrl);
+        }
+
+        this.collectProperties(context, element).forEach(propertyElement => {
+            const $property = $(propertyElement);
+            const names = this.splitTokens($property.attr('itemprop'));
+
+            let value;
+            if ($property.is('[itemscope]')) {
+                // Guard against itemref cycles pointing back at an ancestor item
+                value = memory.has(propertyElement)
+                    ? { '@type': 'Thing' }
+                    : this.parseItem(context, propertyElement, new Set(memory));
+                delete value['@context'];
+            } else {
+                value = this.getPropertyValue($, propertyElement, pageUrl);
+            }
+
+            names.forEach(name => this.addValue(item, this.shortenTerm(name), value));
+        });
+
+        return item;
+    }
+
+    /**
+     * Find property elements belonging to an item, following itemref
+     */
+    collectProperties(context, element) {
+        const { $, order } = context;
+        const properties = [];
+        const pending = [];
+        const $element = $(element);
+
+        $element.children().each((i, child) => pending.push(child));
+
+        this.splitTokens($element.attr('itemref')).forEach(refId => {
+            const referenced = $(`[id="${refId.replace(/"/g, '\\"')}"]`).get(0);
+            if (referenced) pending.push(referenced);
+        });
+
+        const visited = new Set();
+        while (pending.length > 0) {
+            const current = pending.shift();
+            if (visited.has(current) || current === element) continue;
+            visited.add(current);
+
+            const $current = $(current);
+            if ($current.is('[itemprop]')) {
+                properties.push(current);
+            }
+
+            // Nested itemscopes own their descendants' properties
+            if (!$current.is('[itemscope]')) {
+                $current.children().each((i, child) => pending.push(child));
+            }
+        }
+
+        // Keep document order so repeated properties stay stable
+        return properties.sort((a, b) => order.get(a) - order.get(b));
+    }
+
+    /**
+     * Read the value of a non-item property element per the Microdata spec
+     */
+    getPropertyValue($, element, pageUrl) {
+        const $element = $(element);
+        const tagName = (element.tagName || element.name || '').toLowerCase();
+
+        if (tagName === 'meta') {
+            return ($element.attr('content') || '').trim();
+        }
+
+        if (URL_VALUE_ATTRIBUTES[tagName]) {
+            const raw = $element.attr(URL_VALUE_ATTRIBUTES[tagName]) || '';
+            return raw ? this.resolveUrl(raw.trim(), pageUrl) : '';
+        }
+
+        if (tagName === 'data' || tagName === 'meter') {
+            return ($element.attr('value') || '').trim();
+        }
+
+        if (tagName === 'time' && $element.attr('datetime')) {
+            return $element.attr('datetime').trim();
+        }
+
+        // Many themes put machine-readable values in content on spans
+        if ($element.attr('content') !== undefined) {
+            return $element.attr('content').trim();
+        }
+
+        return $element.text().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Add a property value, turning repeated properties into arrays
+     */
+    addValue(item, name, value) {
+        if (!(name in item)) {
+            item[name] = value;
+        } else if (Array.isArray(item[name])) {
+            item[name].push(value);
+        } else {
+            item[name] = [item[name], value];
+        }
+    }
+
+    /**
+     * Strip the schema.org vocabulary prefix from types and property names
+     */
+    shortenTerm(term) {
+        return SCHEMA_ORG_PATTERN.test(term) ? term.replace(SCHEMA_ORG_PATTERN, '') : term;
+    }
+
+    /**
+     * Derive the vocabulary of a non-schema.org itemtype
+     */
+    getVocabulary(type) {
+        const hashIndex = type.lastIndexOf('#');
+        const slashIndex = type.lastIndexOf('/');
+        return type.substring(0, Math.max(hashIndex, slashIndex) + 1) || type;
+    }
+
+    resolveUrl(value, pageUrl) {
+        try {
+            return new URL(value, pageUrl || undefined).href;
+        } catch (error) {
+            return value;
+        }
+    }
+
+    splitTokens(value) {
+        return (value || '').trim().split(/\s+/).filter(Boolean);
+    }
+}
+
+module.exports = MicrodataParser;
@@ -0,0 +1,70 @@
+// api/services/pageCache.js - Page Fetch Cache
+// The last fetch of every scanned URL, so a re-scan can revalidate pages instead of rendering them again
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+class PageCache {
+    constructor(options = {}) {
+        this.dir = options.dir || config.storage.pageCache.dir;
+    }
+
+    /**
+     * One directory per host and one file per URL, so a scan reads only the pages it visits
+     */
+    file(url) {
+        const host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+        const hash = crypto.createHash('sha1').update(url).digest('hex');
+        return path.join(this.dir, host, `${hash}.json`);
+    }
+
+    /**
+     * { url, etag, last_modified, jsonld_hash, fetched_at, page } from the last scan, or null
+     */
+    get(url) {
+        try {
+            return JSON.parse(fs.readFileSync(this.file(url), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    put(url, page) {
+        const entry = {
+            url,
+            etag: page.validators?.etag || null,
+            last_modified: page.validators?.last_modified || null,
+            jsonld_hash: this.hashJsonLd(page),
+            fetched_at: page.fetchedAt,
+            page
+        };
+
+        const file = this.file(url);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(entry));
+        return entry;
+    }
+
+    /**
+     * Hash of the page's JSON-LD as parsed, without the analyzer's own "_" bookkeeping keys
+     * Unparseable blocks count too, so fixing a syntax error is a change
+     */
+    hashJsonLd(page) {
+        const strip = value => {
+            if (Array.isArray(value)) return value.map(strip);
+            if (!value || typeof value !== 'object') return value;
+            return Object.fromEntries(Object.entries(value)
+                .filter(([key]) => !key.startsWith('_'))
+                .map(([key, child]) => [key, strip(child)]));
+        };
+
+        const jsonLd = (page.schemas || []).filter(schema => schema._extractedFrom?.syntax === 'json-ld');
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ schemas: strip(jsonLd), syntaxErrors: (page.syntaxErrors || []).length }))
+            .digest('hex');
+    }
+}
+
+module.exports = PageCache;
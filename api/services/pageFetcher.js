@@ -0,0 +1,556 @@
+// api/services/pageFetcher.js - Unified Page Fetcher
+// One way to load a page (browser render, plain HTTP, local file or replay archive) and one page result shape
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const cheerio = require('cheerio');
+const config = require('../../config');
+const MicrodataParser = require('./microdataParser');
+const RdfaParser = require('./rdfaParser');
+const SchemaNormalizer = require('./schemaNormalizer');
+const JsonLdDiagnostics = require('./jsonLdDiagnostics');
+const ContentConsistencyChecker = require('./contentConsistencyChecker');
+const BrowserPool = require('./browserPool');
+
+const STRATEGIES = ['auto', 'browser', 'http', 'file', 'replay'];
+const WAIT_STRATEGIES = ['network_idle', 'selector', 'jsonld_stable', 'delay'];
+
+class PageFetcher {
+    constructor(options = {}) {
+        this.userAgent = options.userAgent || config.crawler.userAgent;
+        this.timeout = options.timeout || config.crawler.timeout;
+        this.puppeteerOptions = config.crawler.puppeteer;
+        this.interception = config.crawler.interception;
+        this.waitSettings = config.crawler.wait;
+        this.replayDir = options.replayDir || config.crawler.fetcher.replayDir;
+        this.defaultStrategy = options.strategy || config.crawler.fetcher.defaultStrategy;
+
+        this.microdataParser = new MicrodataParser();
+        this.rdfaParser = new RdfaParser();
+        this.normalizer = new SchemaNormalizer();
+        this.diagnostics = new JsonLdDiagnostics();
+        this.contentChecker = options.contentChecker || new ContentConsistencyChecker({ vocabulary: options.vocabulary });
+
+        this.pool = options.pool || BrowserPool.shared();
+        this.archives = new Map();
+    }
+
+    /**
+     * Load a page with the chosen strategy and return the common page result
+     * options.strategy: auto | browser | http | file | replay
+     * options.filePath (file) and options.archive (replay) say where the content comes from
+     * options.profile names the request interception profile and options.wait the wait strategy used when rendering
+     * options.conditional ({ etag, last_modified } from an earlier fetch) revalidates first; an unchanged page
+     * comes back as { url, status: 304, notModified: true } without being downloaded or rendered
+     */
+    async fetch(url, options = {}) {
+        const strategy = options.strategy || this.defaultStrategy;
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown fetch strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+        }
+
+        const profile = options.profile || this.interception.defaultProfile;
+        if (!this.interception.profiles[profile]) {
+            throw new Error(`Unknown render profile "${profile}" (expected ${Object.keys(this.interception.profiles).join(', ')})`);
+        }
+        options = { ...options, profile, wait: this.resolveWait(options.wait) };
+
+        const startTime = Date.now();
+        let page;
+
+        // Revalidating before rendering is what saves the render; the http strategy sends the conditional request itself
+        if (options.conditional && ['auto', 'browser'].includes(strategy) && await this.isNotModified(url, options.conditional)) {
+            page = this.notModified(url, options.conditional);
+            page.loadTime = (Date.now() - startTime) / 1000;
+            return page;
+        }
+
+        switch (strategy) {
+            case 'browser':
+                page = await this.fetchWithBrowser(url, options);
+                break;
+            case 'http':
+                page = await this.fetchWithHttp(url, options);
+                break;
+            case 'file':
+                page = await this.fetchFromFile(url, options);
+                break;
+            case 'replay':
+                page = await this.fetchFromReplay(url, options);
+                break;
+            default:
+                page = await this.fetchWithFallback(url, options);
+        }
+
+        page.loadTime = (Date.now() - startTime) / 1000;
+        return page;
+    }
+
+    /**
+     * Render in the browser; when that fails, read the raw HTML instead
+     * The browser error is kept on the result so callers can tell why the page was not rendered
+     */
+    async fetchWithFallback(url, options) {
+        try {
+            return await this.fetchWithBrowser(url, options);
+        } catch (browserError) {
+            try {
+                const page = await this.fetchWithHttp(url, options);
+                page.fallback = { from: 'browser', error: browserError.message };
+                return page;
+            } catch (httpError) {
+                throw new Error(`Both browser and HTTP fetch failed. Browser: ${browserError.message}, HTTP: ${httpError.message}`);
+            }
+        }
+    }
+
+    async close() {
+        await this.pool.close();
+    }
+
+    async fetchWithBrowser(url, options = {}) {
+        return this.pool.withPage(async page => {
+            await page.setUserAgent(this.userAgent);
+            const diagnostics = await this.interceptRequests(page, options.profile || this.interception.defaultProfile);
+
+            const response = await page.goto(url, {
+                waitUntil: 'load',
+                timeout: this.timeout
+            });
+
+            if (!response || !response.ok()) {
+                throw new Error(response ? `HTTP ${response.status()}: ${response.statusText()}` : 'No response');
+            }
+
+            const wait = await this.waitForPage(page, options.wait || this.resolveWait());
+
+            // What a visitor sees: innerText skips hidden elements, labels carry icon-only ratings
+            const visibleContent = await page.evaluate(() => {
+                const isVisible = element => element.checkVisibility ? element.checkVisibility() : element.offsetParent !== null;
+                return {
+                    source: 'rendered',
+                    title: document.title || '',
+                    headings: Array.from(document.querySelectorAll('h1')).filter(isVisible).map(heading => heading.innerText.trim()).filter(Boolean),
+                    text: document.body ? document.body.innerText : '',
+                    labels: Array.from(document.querySelectorAll('[aria-label], [title], img[alt]'))
+                        .filter(isVisible)
+                        .map(element => element.getAttribute('aria-label') || element.getAttribute('title') || element.getAttribute('alt'))
+                        .filter(Boolean)
+                };
+            });
+
+            const headers = response.headers();
+            return this.extract(await page.content(), url, {
+                finalUrl: page.url(),
+                status: response.status(),
+                validators: this.readValidators(name => headers[name]),
+                method: 'browser',
+                visibleContent,
+                diagnostics,
+                wait
+            });
+        });
+    }
+
+    /**
+     * Fill in a wait request ({ strategy, selector, stable_ms, delay_ms, timeout_ms }) with the configured defaults
+     * Throws on an unknown strategy or a duration above waitSettings.maxTimeout, so a bad request fails before anything is fetched
+     */
+    resolveWait(wait = {}) {
+        if (wait === null || typeof wait !== 'object' || Array.isArray(wait)) {
+            throw new Error('wait must be an object such as { "strategy": "network_idle" }');
+        }
+
+        const strategy = wait.strategy || this.waitSettings.defaultStrategy;
+        if (!WAIT_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown wait strategy "${strategy}" (expected ${WAIT_STRATEGIES.join(', ')})`);
+        }
+        if (strategy === 'selector' && (!wait.selector || typeof wait.selector !== 'string')) {
+            throw new Error('The selector wait strategy needs a selector');
+        }
+
+        const resolved = { strategy, timeout_ms: this.waitDuration(wait, 'timeout_ms', this.waitSettings.timeout) };
+        if (strategy === 'selector') resolved.selector = wait.selector;
+        if (strategy === 'jsonld_stable') resolved.stable_ms = this.waitDuration(wait, 'stable_ms', this.waitSettings.jsonLdStableFor);
+        if (strategy === 'delay') resolved.delay_ms = this.waitDuration(wait, 'delay_ms', this.waitSettings.delay);
+        return resolved;
+    }
+
+    /**
+     * A requested duration in ms, or the default when it is left out
+     */
+    waitDuration(wait, key, fallback) {
+        if (wait[key] === undefined || wait[key] === null) return fallback;
+
+        const value = Number(wait[key]);
+        const max = this.waitSettings.maxTimeout;
+        if (!Number.isFinite(value) || value <= 0 || value > max) {
+            throw new Error(`wait.${key} must be a number of milliseconds from 1 to ${max}`);
+        }
+        return value;
+    }
+
+    /**
+     * Wait after the load event for structured data added late, e.g. by a tag manager
+     * Running out of time is recorded rather than thrown: the page is analyzed as it stands
+     */
+    async waitForPage(page, wait) {
+        const startTime = Date.now();
+        const result = { ...wait, timed_out: false };
+
+        try {
+            switch (wait.strategy) {
+                case 'selector':
+                    await page.waitForSelector(wait.selector, { timeout: wait.timeout_ms });
+                    break;
+                case 'jsonld_stable':
+                    Object.assign(result, await this.waitForStableJsonLd(page, wait));
+                    break;
+                case 'delay':
+                    // The delay is a wait like the others, so it stops at timeout_ms too
+                    await new Promise(resolve => setTimeout(resolve, Math.min(wait.delay_ms, wait.timeout_ms)));
+                    result.timed_out = wait.delay_ms > wait.timeout_ms;
+                    break;
+                default:
+                    await page.waitForNetworkIdle({ idleTime: this.waitSettings.networkIdleTime, timeout: wait.timeout_ms });
+            }
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            result.timed_out = true;
+        }
+
+        result.duration = (Date.now() - startTime) / 1000;
+        return result;
+    }
+
+    /**
+     * Poll the number of JSON-LD scripts until it has not changed for stable_ms
+     */
+    async waitForStableJsonLd(page, wait) {
+        const countScripts = () => page.$$eval('script[type="application/ld+json"]', scripts => scripts.length);
+        const deadline = Date.now() + wait.timeout_ms;
+        let count = await countScripts();
+        let stableSince = Date.now();
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, this.waitSettings.jsonLdPollInterval));
+
+            const current = await countScripts();
+            if (current !== count) {
+                count = current;
+                stableSince = Date.now();
+            } else if (Date.now() - stableSince >= wait.stable_ms) {
+                return { jsonld_scripts: count, timed_out: false };
+            }
+        }
+
+        return { jsonld_scripts: count, timed_out: true };
+    }
+
+    /**
+     * Skip the requests the profile blocks and count what was loaded and skipped
+     * The returned diagnostics object fills in while the page loads
+     */
+    async interceptRequests(page, profileName) {
+        const profile = this.interception.profiles[profileName];
+        const diagnostics = { profile: profileName, requests: 0, blocked: 0, blocked_by_type: {}, blocked_by_domain: {} };
+        const intercept = profile.blockResourceTypes.length > 0 || profile.blockDomains;
+
+        if (intercept) {
+            await page.setRequestInterception(true);
+        }
+
+        page.on('request', request => {
+            diagnostics.requests++;
+            if (!intercept || request.isInterceptResolutionHandled()) return;
+
+            const reason = this.blockReason(request.url(), request.resourceType(), profile);
+            if (!reason) {
+                request.continue();
+                return;
+            }
+
+            diagnostics.blocked++;
+            diagnostics.blocked_by_type[request.resourceType()] = (diagnostics.blocked_by_type[request.resourceType()] || 0) + 1;
+            if (reason.domain) {
+                diagnostics.blocked_by_domain[reason.domain] = (diagnostics.blocked_by_domain[reason.domain] || 0) + 1;
+            }
+            request.abort('blockedbyclient');
+        });
+
+        return diagnostics;
+    }
+
+    /**
+     * Why a request is blocked ({ type } or { domain }), or null to let it through
+     * Scripts from keepScriptDomains always load, since they may be what injects the schema
+     */
+    blockReason(requestUrl, resourceType, profile) {
+        let host;
+        try {
+            host = new URL(requestUrl).hostname.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+
+        const matchesDomain = domain => host === domain || host.endsWith(`.${domain}`);
+        if (['script', 'xhr', 'fetch'].includes(resourceType) && this.interception.keepScriptDomains.some(matchesDomain)) {
+            return null;
+        }
+
+        if (profile.blockResourceTypes.includes(resourceType)) {
+            return { type: resourceType };
+        }
+
+        const domain = profile.blockDomains && this.interception.blockedDomains.find(matchesDomain);
+        return domain ? { domain } : null;
+    }
+
+    async fetchWithHttp(url, options = {}) {
+        const response = await fetch(url, {
+            headers: { 'User-Agent': this.userAgent, ...this.conditionalHeaders(options.conditional) },
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (response.status === 304 && options.conditional) {
+            return this.notModified(url, options.conditional);
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return this.extract(await response.text(), url, {
+            finalUrl: response.url || url,
+            status: response.status,
+            validators: this.readValidators(name => response.headers.get(name)),
+            method: 'http'
+        });
+    }
+
+    /**
+     * Conditional GET with an earlier fetch's validators; true only for 304 Not Modified
+     * A failed check is not an error: the page is simply fetched in full
+     */
+    async isNotModified(url, validators) {
+        const headers = this.conditionalHeaders(validators);
+        if (Object.keys(headers).length === 0) return false;
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': this.userAgent, ...headers },
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            await response.body?.cancel();
+            return response.status === 304;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    conditionalHeaders(validators = {}) {
+        const headers = {};
+        if (validators?.etag) headers['If-None-Match'] = validators.etag;
+        if (validators?.last_modified) headers['If-Modified-Since'] = validators.last_modified;
+        return headers;
+    }
+
+    /**
+     * ETag and Last-Modified of a response, or null when it sent neither
+     */
+    readValidators(getHeader) {
+        const etag = getHeader('etag') || null;
+        const lastModified = getHeader('last-modified') || null;
+        return etag || lastModified ? { etag, last_modified: lastModified } : null;
+    }
+
+    notModified(url, validators) {
+        return {
+            url,
+            finalUrl: url,
+            status: 304,
+            method: 'not_modified',
+            notModified: true,
+            validators,
+            fetchedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Read a local HTML file; url is the address it will be served at (or a file:// URL)
+     */
+    async fetchFromFile(url, options = {}) {
+        const filePath = options.filePath || (url.startsWith('file:') ? fileURLToPath(url) : null);
+        if (!filePath) {
+            throw new Error(`No file given for ${url}`);
+        }
+
+        const html = await fs.promises.readFile(filePath, 'utf8');
+        return this.extract(html, url, { method: 'file' });
+    }
+
+    /**
+     * Serve the page from a HAR archive in the replay directory, as recorded by a browser or proxy
+     */
+    async fetchFromReplay(url, options = {}) {
+        const entries = await this.loadArchive(options.archive);
+        const wanted = url.split('#')[0];
+        const entry = entries.find(candidate => candidate.request?.url.split('#')[0] === wanted && candidate.response?.content?.text !== undefined);
+
+        if (!entry) {
+            throw new Error(`${url} is not in replay archive "${options.archive}"`);
+        }
+
+        const { status, statusText, content } = entry.response;
+        if (status < 200 || status >= 300) {
+            throw new Error(`HTTP ${status}: ${statusText || 'recorded error'}`);
+        }
+
+        const html = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+        return this.extract(html, url, { status, method: 'replay' });
+    }
+
+    /**
+     * Archives are named relative to the replay directory and may not point outside it
+     */
+    async loadArchive(name) {
+        if (!name) {
+            throw new Error('The replay strategy needs an archive');
+        }
+
+        const file = path.resolve(this.replayDir, name);
+        if (!file.startsWith(path.resolve(this.replayDir) + path.sep)) {
+            throw new Error(`Replay archive "${name}" is outside ${this.replayDir}`);
+        }
+
+        if (!this.archives.has(file)) {
+            const har = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            if (!Array.isArray(har.log?.entries)) {
+                throw new Error(`Replay archive "${name}" is not a HAR file`);
+            }
+            this.archives.set(file, har.log.entries);
+        }
+        return this.archives.get(file);
+    }
+
+    /**
+     * Build the page result from HTML; every strategy ends here, so results only differ by what was loaded
+     * Rendered pages pass their own visibleContent; otherwise it is derived from the HTML
+     */
+    extract(html, url, details = {}) {
+        const $ = cheerio.load(html || '');
+        const schemas = [];
+        const syntaxErrors = [];
+
+        // JSON-LD blocks, keeping unparseable ones for diagnostics
+        $('script[type="application/ld+json"]').each((index, element) => {
+            const content = $(element).html() || '';
+            if (!content.trim()) return;
+
+            try {
+                const parsed = JSON.parse(content.trim());
+                const schemaArray = Array.isArray(parsed) ? parsed : [parsed];
+
+                // @graph containers and untyped wrappers are kept for the normalizer
+                schemaArray.forEach((schema, schemaIndex) => {
+                    if (schema && typeof schema === 'object') {
+                        schemas.push({
+                            ...schema,
+                            _extractedFrom: {
+                                syntax: 'json-ld',
+                                scriptIndex: index,
+                                schemaIndex,
+                                location: `Script ${index + 1}.${schemaIndex + 1}`,
+                                path: Array.isArray(parsed) ? `$[${schemaIndex}]` : '$'
+                            }
+                        });
+                    }
+                });
+            } catch (error) {
+                syntaxErrors.push(this.diagnostics.diagnose(content, index));
+            }
+        });
+
+        const markupSchemas = [
+            ...this.microdataParser.parse($, url),
+            ...this.rdfaParser.parse($, url)
+        ];
+        const normalized = this.normalizer.normalize([...schemas, ...markupSchemas]);
+        const canonical = $('link[rel="canonical"]').attr('href');
+
+        return {
+            url,
+            finalUrl: details.finalUrl || url,
+            status: details.status || null,
+            validators: details.validators || null,
+            method: details.method || 'html',
+            title: this.extractTitle($, normalized),
+            description: ($('meta[name="description"]').attr('content') || '').trim(),
+            canonical: canonical ? this.resolveUrl(canonical.trim(), url) : url || null,
+            schemas: normalized,
+            syntaxErrors,
+            visibleContent: details.visibleContent || this.contentChecker.snapshotFromHtml(html),
+            internalLinks: this.extractInternalLinks($, details.finalUrl || url),
+            wordCount: $('body').text().split(/\s+/).filter(Boolean).length,
+            hasStructuredData: schemas.length > 0 || syntaxErrors.length > 0 || markupSchemas.length > 0,
+            diagnostics: details.diagnostics || null,
+            wait: details.wait || null,
+            fetchedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Page title from <title>, then the WebPage name, then h1, then og:title
+     */
+    extractTitle($, schemas) {
+        const webPage = schemas.find(schema => [].concat(schema['@type'] || []).includes('WebPage') && typeof schema.name === 'string');
+        const candidates = [
+            $('title').first().text(),
+            webPage && webPage.name,
+            $('h1').first().text(),
+            $('meta[property="og:title"]').attr('content')
+        ];
+
+        const title = candidates.find(candidate => candidate && candidate.trim());
+        return title ? title.replace(/\s+/g, ' ').trim() : 'Untitled Page';
+    }
+
+    /**
+     * Same-origin links with fragments removed
+     * Query strings are kept; crawlers decide which parameters name a different page
+     */
+    extractInternalLinks($, url) {
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch (error) {
+            return [];
+        }
+
+        const links = new Set();
+        $('a[href], area[href]').each((index, element) => {
+            try {
+                const linkUrl = new URL($(element).attr('href'), url);
+                if (linkUrl.origin === origin) {
+                    linkUrl.hash = '';
+                    links.add(linkUrl.href);
+                }
+            } catch (error) {
+                // Skip invalid URLs
+            }
+        });
+        return Array.from(links);
+    }
+
+    resolveUrl(href, base) {
+        try {
+            return new URL(href, base || undefined).href;
+        } catch (error) {
+            return href;
+        }
+    }
+}
+
+PageFetcher.STRATEGIES = STRATEGIES;
+
+module.exports = PageFetcher;
@@ -0,0 +1,230 @@
+// api/services/rdfaParser.js - HTML RDFa Lite Parser
+// Converts vocab/typeof/property markup into JSON-LD shaped schema objects
+
+const cheerio = require('cheerio');
+
+const SCHEMA_ORG_PATTERN = /^https?:\/\/schema\.org\//i;
+
+// Prefixes predefined by the RDFa 1.1 initial context
+const INITIAL_PREFIXES = {
+    schema: 'http://schema.org/',
+    og: 'http://ogp.me/ns#',
+    dc: 'http://purl.org/dc/terms/',
+    dcterms: 'http://purl.org/dc/terms/',
+    foaf: 'http://xmlns.com/foaf/0.1/',
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+// Elements whose property value comes from a URL attribute rather than text
+const URL_VALUE_ATTRIBUTES = {
+    a: 'href',
+    area: 'href',
+    link: 'href',
+    audio: 'src',
+    embed: 'src',
+    iframe: 'src',
+    img: 'src',
+    source: 'src',
+    track: 'src',
+    video: 'src',
+    object: 'data'
+};
+
+class RdfaParser {
+    /**
+     * Extract all top-level RDFa typed nodes from a document
+     * Accepts raw HTML or an already loaded cheerio instance
+     */
+    parse(html, pageUrl = '') {
+        const $ = typeof html === 'string' ? cheerio.load(html) : html;
+        const items = [];
+        const root = $.root().get(0);
+
+        const context = {
+            vocab: null,
+            prefixes: { ...INITIAL_PREFIXES },
+            subject: null
+        };
+
+        $(root).children().each((i, child) => this.walk($, child, context, items, pageUrl));
+
+        // Untyped top-level nodes still collect properties but are not schemas
+        return items.filter(item => item['@type']).map((item, index) => ({
+            ...item,
+            _extractedFrom: {
+                syntax: 'rdfa',
+                itemIndex: index,
+                location: `RDFa item ${index + 1}`
+            }
+        }));
+    }
+
+    /**
+     * Walk an element, attaching typed nodes and property values to the current subject
+     */
+    walk($, element, parentContext, items, pageUrl) {
+        if (element.type !== 'tag') return;
+
+        const $element = $(element);
+        const context = { ...parentContext };
+
+        const vocab = $element.attr('vocab');
+        if (vocab !== undefined) {
+            context.vocab = vocab.trim() || null;
+        }
+
+        const prefixAttr = $element.attr('prefix');
+        if (prefixAttr) {
+            context.prefixes = { ...context.prefixes, ...this.parsePrefixes(prefixAttr) };
+        }
+
+        const properties = this.splitTokens($element.attr('property'))
+            .map(term => this.resolveTerm(term, context))
+            .filter(Boolean);
+
+        if ($element.attr('typeof') !== undefined) {
+            const isPropertyValue = properties.length > 0 && parentContext.subject !== null;
+            const node = this.createNode($element, context, pageUrl, properties.length > 0, !isPropertyValue);
+
+            if (isPropertyValue) {
+                properties.forEach(property => this.addValue(parentContext.subject, property, node));
+            } else {
+                items.push(node);
+            }
+
+            context.subject = node;
+        } else if (properties.length > 0 && parentContext.subject) {
+            const value = this.getPropertyValue($element, element, pageUrl);
+            properties.forEach(property => this.addValue(parentContext.subject, property, value));
+        }
+
+        $element.children().each((i, child) => this.walk($, child, context, items, pageUrl));
+    }
+
+    /**
+     * Create a typed node for an element carrying typeof
+     */
+    createNode($element, context, pageUrl, hasProperty, isTopLevel) {
+        const node = {};
+
+        const types = this.splitTokens($element.attr('typeof'))
+            .map(term => this.resolveTerm(term, context))
+            .filter(Boolean);
+
+        // Top-level nodes carry their vocabulary so they stand alone like JSON-LD
+        if (isTopLevel) {
+            const usesSchemaOrg = types.some(type => !type.includes(':')) ||
+                (context.vocab && SCHEMA_ORG_PATTERN.test(context.vocab));
+            node['@context'] = usesSchemaOrg ? 'https://schema.org' : context.vocab;
+        }
+
+        if (types.length > 0) {
+            node['@type'] = types.length === 1 ? types[0] : types;
+        }
+
+        // Without a property, href/src on the typed element also name the subject
+        let id = $element.attr('resource');
+        if (id === undefined && !hasProperty) {
+            id = $element.attr('href') || $element.attr('src');
+        }
+        if (id) {
+            node['@id'] = this.resolveUrl(id.trim(), pageUrl);
+        }
+
+        return node;
+    }
+
+    /**
+     * Read a literal or IRI value for a property element
+     */
+    getPropertyValue($element, element, pageUrl) {
+        const tagName = (element.tagName || element.name || '').toLowerCase();
+
+        if ($element.attr('content') !== undefined) {
+            return $element.attr('content').trim();
+        }
+
+        if ($element.attr('resource') !== undefined) {
+            return this.resolveUrl($element.attr('resource').trim(), pageUrl);
+        }
+
+        if (URL_VALUE_ATTRIBUTES[tagName] && $element.attr(URL_VALUE_ATTRIBUTES[tagName])) {
+            return this.resolveUrl($element.attr(URL_VALUE_ATTRIBUTES[tagName]).trim(), pageUrl);
+        }
+
+        if (tagName === 'time' && $element.attr('datetime')) {
+            return $element.attr('datetime').trim();
+        }
+
+        return $element.text().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Expand a term, CURIE or IRI to a full IRI, then shorten schema.org IRIs
+     */
+    resolveTerm(term, context) {
+        if (/^https?:\/\//i.test(term)) {
+            return this.shortenTerm(term);
+        }
+
+        const colonIndex = term.indexOf(':');
+        if (colonIndex > 0) {
+            const prefix = term.substring(0, colonIndex);
+            if (context.prefixes[prefix]) {
+                return this.shortenTerm(context.prefixes[prefix] + term.substring(colonIndex + 1));
+            }
+            return term;
+        }
+
+        // Bare terms are only meaningful when a vocabulary is in scope
+        return context.vocab ? this.shortenTerm(context.vocab + term) : null;
+    }
+
+    /**
+     * Parse an RDFa prefix attribute ("og: http://ogp.me/ns# ex: http://ex.org/")
+     */
+    parsePrefixes(value) {
+        const prefixes = {};
+        const pattern = /([\w-]+):\s+(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            prefixes[match[1]] = match[2];
+        }
+
+        return prefixes;
+    }
+
+    /**
+     * Add a property value, turning repeated properties into arrays
+     */
+    addValue(item, name, value) {
+        if (!(name in item)) {
+            item[name] = value;
+        } else if (Array.isArray(item[name])) {
+            item[name].push(value);
+        } else {
+            item[name] = [item[name], value];
+        }
+    }
+
+    shortenTerm(term) {
+        return SCHEMA_ORG_PATTERN.test(term) ? term.replace(SCHEMA_ORG_PATTERN, '') : term;
+    }
+
+    resolveUrl(value, pageUrl) {
+        try {
+            return new URL(value, pageUrl || undefined).href;
+        } catch (error) {
+            return value;
+        }
+    }
+
+    splitTokens(value) {
+        return (value || '').trim().split(/\s+/).filter(Boolean);
+    }
+}
+
+module.exports = RdfaParser;
@@ -0,0 +1,142 @@
+// api/services/renderComparator.js - Rendered vs Static Markup Comparison
+// Diffs the entity sets found in raw HTML and after JavaScript rendering
+
+const IDENTITY_PROPERTIES = ['name', 'headline', 'url', 'sku', 'identifier'];
+
+class RenderComparator {
+    /**
+     * Compare processed schema nodes from the raw HTML and the rendered DOM
+     * Entities are matched by @id, falling back to type plus a naming property
+     */
+    compare(staticSchemas, renderedSchemas) {
+        const staticEntities = this.indexEntities(staticSchemas);
+        const renderedEntities = this.indexEntities(renderedSchemas);
+
+        const onlyRendered = [];
+        const onlyStatic = [];
+        const changed = [];
+        let unchanged = 0;
+
+        renderedEntities.forEach((rendered, key) => {
+            const original = staticEntities.get(key);
+            if (!original) {
+                onlyRendered.push(this.describeEntity(key, rendered));
+                return;
+            }
+
+            const changes = this.diffProperties(original, rendered);
+            if (changes.length > 0) {
+                changed.push({ ...this.describeEntity(key, rendered, false), changes });
+            } else {
+                unchanged++;
+            }
+        });
+
+        staticEntities.forEach((original, key) => {
+            if (!renderedEntities.has(key)) {
+                onlyStatic.push(this.describeEntity(key, original));
+            }
+        });
+
+        return {
+            static_entities: staticEntities.size,
+            rendered_entities: renderedEntities.size,
+            only_rendered: onlyRendered,
+            only_static: onlyStatic,
+            changed,
+            unchanged,
+            depends_on_javascript: onlyRendered.length > 0 || changed.length > 0
+        };
+    }
+
+    /**
+     * Key every entity; repeated keys get an occurrence suffix so both sides pair up in order
+     */
+    indexEntities(schemas) {
+        const entities = new Map();
+        const occurrences = {};
+
+        (schemas || []).forEach(schema => {
+            if (!schema || typeof schema !== 'object') return;
+
+            const baseKey = this.getEntityKey(schema);
+            occurrences[baseKey] = (occurrences[baseKey] || 0) + 1;
+            const key = occurrences[baseKey] > 1 ? `${baseKey}#${occurrences[baseKey]}` : baseKey;
+
+            entities.set(key, schema);
+        });
+
+        return entities;
+    }
+
+    getEntityKey(schema) {
+        if (typeof schema['@id'] === 'string' && schema['@id']) {
+            return schema['@id'];
+        }
+
+        const type = [].concat(schema['@type'] || 'Thing').join(',');
+        const identity = IDENTITY_PROPERTIES
+            .map(property => schema[property])
+            .find(value => typeof value === 'string' && value.trim());
+
+        return identity ? `${type}:${identity.trim()}` : type;
+    }
+
+    /**
+     * List properties whose values differ, ignoring extraction metadata
+     */
+    diffProperties(original, rendered) {
+        const before = this.stripMetadata(original);
+        const after = this.stripMetadata(rendered);
+        const properties = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        return properties
+            .filter(property => this.stableStringify(before[property]) !== this.stableStringify(after[property]))
+            .map(property => ({
+                property,
+                static_value: before[property] === undefined ? null : before[property],
+                rendered_value: after[property] === undefined ? null : after[property]
+            }));
+    }
+
+    describeEntity(key, schema, includeSchema = true) {
+        const description = {
+            key,
+            type: schema['@type'] || null,
+            id: schema['@id'] || null,
+            extracted_from: schema._extractedFrom || null
+        };
+
+        if (includeSchema) {
+            description.schema = this.stripMetadata(schema);
+        }
+
+        return description;
+    }
+
+    stripMetadata(schema) {
+        const stripped = {};
+        Object.keys(schema).forEach(key => {
+            if (!key.startsWith('_') && key !== '@context') stripped[key] = schema[key];
+        });
+        return stripped;
+    }
+
+    /**
+     * JSON with sorted object keys so key order alone never counts as a change
+     */
+    stableStringify(value) {
+        if (value === undefined) return 'undefined';
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key =>
+                `${JSON.stringify(key)}:${this.stableStringify(value[key])}`
+            ).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+}
+
+module.exports = RenderComparator;
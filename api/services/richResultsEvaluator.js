@@ -0,0 +1,333 @@
+// api/services/richResultsEvaluator.js - Rich Result Eligibility Rules
+// Evaluates entities against a declarative rule set of rich-result feature requirements
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const VocabularyValidator = require('./vocabularyValidator');
+const SchemaNormalizer = require('./schemaNormalizer');
+const { ValidationUtils } = require('../../utils');
+
+const SCHEMA_ORG_PATTERN = /^https?:\/\/schema\.org\//i;
+
+// Value constraints a rule may put on literal values
+const CONSTRAINTS = {
+    text: {
+        description: 'non-empty text',
+        test: value => (typeof value === 'string' && value.trim() !== '') || typeof value === 'number'
+    },
+    url: {
+        description: 'a URL',
+        test: value => typeof value === 'string' && value.trim() !== '' && !/\s/.test(value.trim())
+    },
+    number: {
+        description: 'a number',
+        test: value => ValidationUtils.isNumericValue(value)
+    },
+    positiveNumber: {
+        description: 'a number greater than zero',
+        test: value => toNumber(value) > 0
+    },
+    integer: {
+        description: 'a whole number',
+        test: value => Number.isInteger(toNumber(value)) && toNumber(value) >= 0
+    },
+    currency: {
+        description: 'a three-letter ISO 4217 currency code',
+        test: value => ValidationUtils.isCurrencyCode(value)
+    },
+    datetime: {
+        description: 'an ISO 8601 date or date-time',
+        test: value => ValidationUtils.isIsoDate(value)
+    },
+    duration: {
+        description: 'an ISO 8601 duration such as PT30M',
+        test: value => ValidationUtils.isIsoDuration(value)
+    }
+};
+
+function toNumber(value) {
+    return ValidationUtils.isNumericValue(value) ? parseFloat(value) : NaN;
+}
+
+class RichResultsEvaluator {
+    constructor(options = {}) {
+        const settings = config.schema.richResults;
+        this.ruleSet = options.ruleSet || settings.ruleSet;
+
+        const file = path.join(options.dir || settings.dir, `${this.ruleSet}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Rich result rule set "${this.ruleSet}" not found at ${file}`);
+        }
+
+        this.rules = JSON.parse(fs.readFileSync(file, 'utf8')).rules;
+        this.vocabulary = options.vocabulary || new VocabularyValidator();
+        this.normalizer = new SchemaNormalizer();
+    }
+
+    /**
+     * Evaluate every top-level entity against the rules its type falls under
+     * Subtypes count, so a NewsArticle is checked as an Article
+     */
+    evaluate(schemas) {
+        const nodes = this.indexNodes(schemas);
+        const entities = [];
+
+        (schemas || []).forEach((schema, index) => {
+            if (!schema || typeof schema !== 'object') return;
+
+            this.getMatchingRules(schema).forEach(rule => {
+                entities.push(this.evaluateEntity(schema, index, rule, nodes));
+            });
+        });
+
+        const features = this.rules
+            .map(rule => {
+                const matched = entities.filter(entity => entity.rule_id === rule.id);
+                return {
+                    rule_id: rule.id,
+                    feature: rule.feature,
+                    docs: rule.docs || null,
+                    note: rule.note || null,
+                    entities: matched.length,
+                    eligible: matched.filter(entity => entity.status === 'eligible').length,
+                    eligible_with_warnings: matched.filter(entity => entity.status === 'eligible_with_warnings').length,
+                    ineligible: matched.filter(entity => entity.status === 'ineligible').length
+                };
+            })
+            .filter(feature => feature.entities > 0);
+
+        return {
+            rule_set: this.ruleSet,
+            entities,
+            features,
+            summary: {
+                evaluated: entities.length,
+                eligible: entities.filter(entity => entity.status === 'eligible').length,
+                eligible_with_warnings: entities.filter(entity => entity.status === 'eligible_with_warnings').length,
+                ineligible: entities.filter(entity => entity.status === 'ineligible').length
+            }
+        };
+    }
+
+    /**
+     * Full node definitions by @id so { "@id" } references can be followed
+     */
+    indexNodes(schemas) {
+        const nodes = new Map();
+
+        (schemas || []).forEach(schema => {
+            if (!schema || typeof schema['@id'] !== 'string' || this.isReference(schema)) return;
+            if (!nodes.has(schema['@id'])) nodes.set(schema['@id'], schema);
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Rules whose types cover the node; excludeTypes carves out subtypes with a feature of their own
+     */
+    getMatchingRules(node) {
+        const types = this.vocabulary.getTypes(node).filter(type => this.vocabulary.isKnownType(type));
+        const covers = (ruleTypes, type) => (ruleTypes || []).some(ruleType => this.vocabulary.isSubtypeOf(type, ruleType));
+
+        return this.rules.filter(rule =>
+            types.some(type => covers(rule.types, type) && !covers(rule.excludeTypes, type))
+        );
+    }
+
+    evaluateEntity(node, schemaIndex, rule, nodes) {
+        const basePath = node._extractedFrom?.path || '$';
+        const findings = [];
+        const visited = new Set([node]);
+
+        (rule.required || []).forEach(spec => this.checkSpec(node, spec, basePath, 'error', nodes, findings, visited));
+        (rule.recommended || []).forEach(spec => this.checkSpec(node, spec, basePath, 'warning', nodes, findings, visited));
+
+        const errors = findings.filter(finding => finding.severity === 'error');
+        const warnings = findings.filter(finding => finding.severity === 'warning');
+
+        return {
+            rule_id: rule.id,
+            feature: rule.feature,
+            schema_index: schemaIndex,
+            type: this.vocabulary.getTypes(node).join(', ') || null,
+            id: node['@id'] || null,
+            location: node._extractedFrom?.location || null,
+            path: basePath,
+            status: errors.length > 0 ? 'ineligible' : warnings.length > 0 ? 'eligible_with_warnings' : 'eligible',
+            errors: errors.map(({ severity, ...finding }) => finding),
+            warnings: warnings.map(({ severity, ...finding }) => finding)
+        };
+    }
+
+    /**
+     * Check one requirement on a node
+     * Returns whether it is satisfied and whether its property was present at all;
+     * nested recommendations only ever add warnings
+     */
+    checkSpec(node, spec, nodePath, severity, nodes, findings, visited) {
+        if (typeof spec === 'string') spec = { property: spec };
+
+        if (spec.anyOf) {
+            return this.checkAlternatives(node, spec, nodePath, severity, nodes, findings, visited);
+        }
+
+        const report = (message, reportPath = this.normalizer.appendPath(nodePath, spec.property)) =>
+            findings.push({ severity, property: spec.property, path: reportPath, message });
+
+        // Prefixed ("schema:url") and full-IRI keys name the same property
+        const raw = this.vocabulary.jsonLd.getPropertyValue(node, spec.property);
+        const values = (Array.isArray(raw) ? raw : [raw])
+            .filter(value => value !== undefined && value !== null && value !== '');
+
+        if (values.length === 0) {
+            report(`Missing ${severity === 'error' ? 'required' : 'recommended'} property "${spec.property}"`);
+            return { satisfied: false, present: false };
+        }
+
+        let satisfied = true;
+
+        if (spec.minItems && values.length < spec.minItems) {
+            report(`"${spec.property}" needs at least ${spec.minItems} items, found ${values.length}`);
+            satisfied = false;
+        }
+
+        values.forEach((value, valueIndex) => {
+            const valuePath = Array.isArray(raw)
+                ? this.normalizer.appendPath(this.normalizer.appendPath(nodePath, spec.property), valueIndex)
+                : this.normalizer.appendPath(nodePath, spec.property);
+
+            if (!this.checkValue(value, spec, valuePath, severity, nodes, findings, visited, report)) {
+                satisfied = false;
+            }
+        });
+
+        return { satisfied, present: true };
+    }
+
+    /**
+     * anyOf: the first satisfied alternative wins; otherwise report the alternatives
+     * that were attempted, or a single message when none was
+     */
+    checkAlternatives(node, spec, nodePath, severity, nodes, findings, visited) {
+        const attempts = spec.anyOf.map(alternative => {
+            const scratch = [];
+            const result = this.checkSpec(node, alternative, nodePath, severity, nodes, scratch, visited);
+            return { ...result, findings: scratch };
+        });
+
+        const winner = attempts.find(attempt => attempt.satisfied);
+        if (winner) {
+            findings.push(...winner.findings);
+            return { satisfied: true, present: true };
+        }
+
+        const present = attempts.filter(attempt => attempt.present);
+        if (present.length > 0) {
+            present.forEach(attempt => findings.push(...attempt.findings));
+        } else {
+            findings.push({
+                severity,
+                property: null,
+                path: nodePath,
+                message: `Missing ${severity === 'error' ? 'required' : 'recommended'} property: one of ${this.describeAlternatives(spec)}`
+            });
+        }
+
+        return { satisfied: false, present: present.length > 0 };
+    }
+
+    checkValue(value, spec, valuePath, severity, nodes, findings, visited, report) {
+        const literal = this.toLiteral(value);
+
+        if (literal !== undefined) {
+            if (spec.oneOf) {
+                const term = String(literal).trim().replace(SCHEMA_ORG_PATTERN, '').replace(/^schema:/, '');
+                if (!spec.oneOf.includes(term)) {
+                    report(`"${literal}" is not an accepted value for "${spec.property}" (expected one of ${spec.oneOf.join(', ')})`, valuePath);
+                    return false;
+                }
+            }
+
+            if (spec.constraint) {
+                if (!CONSTRAINTS[spec.constraint].test(literal)) {
+                    report(`"${spec.property}" should be ${CONSTRAINTS[spec.constraint].description}, found "${literal}"`, valuePath);
+                    return false;
+                }
+            } else if (spec.types) {
+                report(`"${spec.property}" should be a ${spec.types.join(' or ')}, not text`, valuePath);
+                return false;
+            }
+
+            return true;
+        }
+
+        const target = this.isReference(value) ? nodes.get(value['@id']) : value;
+
+        // References to nodes outside the page cannot be inspected further
+        if (!target) {
+            if (spec.oneOf || (spec.constraint && !spec.types)) {
+                return this.checkValue(value['@id'], spec, valuePath, severity, nodes, findings, visited, report);
+            }
+            return true;
+        }
+
+        const types = this.vocabulary.getTypes(target);
+        const found = types.length > 0 ? `a ${types.join(', ')}` : 'an object';
+
+        if (spec.types) {
+            // Untyped objects get the benefit of the doubt; their properties are still checked
+            if (types.length > 0 && !types.some(type => spec.types.some(allowed => this.vocabulary.isSubtypeOf(type, allowed)))) {
+                report(`"${spec.property}" should be a ${spec.types.join(' or ')}, found ${found}`, valuePath);
+                return false;
+            }
+        } else if (spec.constraint) {
+            report(`"${spec.property}" should be ${CONSTRAINTS[spec.constraint].description}, found ${found}`, valuePath);
+            return false;
+        }
+
+        // Guard against reference cycles
+        if (visited.has(target)) return true;
+        visited.add(target);
+
+        let satisfied = true;
+        (spec.required || []).forEach(nested => {
+            if (!this.checkSpec(target, nested, valuePath, severity, nodes, findings, visited).satisfied) {
+                satisfied = false;
+            }
+        });
+        (spec.recommended || []).forEach(nested => {
+            this.checkSpec(target, nested, valuePath, 'warning', nodes, findings, visited);
+        });
+
+        visited.delete(target);
+        return satisfied;
+    }
+
+    /**
+     * Plain value of a string, number, boolean or { "@value" } object; undefined for nodes
+     */
+    toLiteral(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if ('@value' in value) return value['@value'];
+        return undefined;
+    }
+
+    isReference(value) {
+        return !!value && typeof value === 'object' && typeof value['@id'] === 'string' &&
+            Object.keys(value).every(key => key === '@id' || key.startsWith('_'));
+    }
+
+    describeAlternatives(spec) {
+        return spec.anyOf
+            .map(alternative => {
+                if (typeof alternative === 'string') return `"${alternative}"`;
+                if (alternative.anyOf) return `(${this.describeAlternatives(alternative)})`;
+                return `"${alternative.property}"`;
+            })
+            .join(', ');
+    }
+}
+
+module.exports = RichResultsEvaluator;
@@ -0,0 +1,139 @@
+// api/services/robotsTxt.js - robots.txt Rules
+// Parses robots.txt (RFC 9309) and answers whether our crawler may fetch a URL, and which rule decided it
+
+class RobotsTxt {
+    /**
+     * text is the robots.txt body; userAgent is our User-Agent header or its product token
+     * options.disallowAll blocks everything, for a robots.txt that could not be read (the reason is kept)
+     */
+    constructor(text = '', options = {}) {
+        this.token = String(options.userAgent || '*').split('/')[0].trim().toLowerCase();
+        this.unreachable = options.disallowAll || null;
+        this.groups = [];
+        this.sitemaps = [];
+
+        this.parse(String(text));
+        this.group = this.selectGroup();
+    }
+
+    /**
+     * Groups are runs of User-agent lines followed by their rules; Sitemap lines apply to the whole file
+     */
+    parse(text) {
+        let current = null;
+        let lastWasAgent = false;
+
+        text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const key = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (key === 'user-agent') {
+                if (!current || !lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    this.groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+            lastWasAgent = false;
+
+            if (key === 'sitemap') {
+                if (value) this.sitemaps.push(value);
+            } else if ((key === 'allow' || key === 'disallow') && current && value) {
+                current.rules.push({ directive: key === 'allow' ? 'Allow' : 'Disallow', pattern: value, line: index + 1 });
+            } else if (key === 'crawl-delay' && current) {
+                const seconds = parseFloat(value);
+                if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+            }
+        });
+    }
+
+    /**
+     * The group for the most specific User-agent matching our token, else the "*" groups
+     * Groups naming the same agent are merged
+     */
+    selectGroup() {
+        const matching = agent => agent !== '*' && (this.token === agent || this.token.startsWith(agent));
+        const best = this.groups
+            .flatMap(group => group.agents.filter(matching))
+            .sort((a, b) => b.length - a.length)[0] || '*';
+
+        const groups = this.groups.filter(group => group.agents.includes(best));
+        if (groups.length === 0) return null;
+
+        const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+        return {
+            userAgent: best,
+            rules: groups.flatMap(group => group.rules),
+            crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+        };
+    }
+
+    /**
+     * Seconds to wait between requests, or null when robots.txt does not say
+     */
+    get crawlDelay() {
+        return this.group ? this.group.crawlDelay : null;
+    }
+
+    /**
+     * { allowed, rule }: the longest matching pattern wins and Allow wins a tie
+     * rule is null when no rule matched (which allows the URL)
+     */
+    check(url) {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            return { allowed: false, rule: null };
+        }
+
+        const path = `${target.pathname}${target.search}`;
+        if (target.pathname === '/robots.txt') {
+            return { allowed: true, rule: null };
+        }
+
+        if (this.unreachable) {
+            return {
+                allowed: false,
+                rule: { user_agent: null, directive: 'Disallow', pattern: '/', line: null, reason: this.unreachable }
+            };
+        }
+
+        let winner = null;
+        (this.group ? this.group.rules : []).forEach(rule => {
+            if (!this.matches(rule.pattern, path)) return;
+
+            const better = !winner ||
+                rule.pattern.length > winner.pattern.length ||
+                (rule.pattern.length === winner.pattern.length && rule.directive === 'Allow');
+            if (better) winner = rule;
+        });
+
+        return {
+            allowed: !winner || winner.directive === 'Allow',
+            rule: winner && { user_agent: this.group.userAgent, directive: winner.directive, pattern: winner.pattern, line: winner.line }
+        };
+    }
+
+    /**
+     * Patterns match from the start of the path; "*" matches any run of characters and a trailing "$" anchors the end
+     */
+    matches(pattern, path) {
+        const anchored = pattern.endsWith('$');
+        const body = (anchored ? pattern.slice(0, -1) : pattern)
+            .replace(/[^\x21-\x7e]/g, character => encodeURIComponent(character))
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+
+        return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+    }
+}
+
+module.exports = RobotsTxt;
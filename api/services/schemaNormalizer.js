@@ -0,0 +1,170 @@
+// api/services/schemaNormalizer.js - Structured Data Normalization
+// Flattens @graph containers and embedded entities into one node set for all analyzers
+
+class SchemaNormalizer {
+    /**
+     * Flatten extracted schema objects into first-class nodes
+     * - top-level arrays and @graph containers are expanded
+     * - embedded typed entities carrying an @id are lifted, leaving { "@id" } in the parent
+     * - every node records the JSON path it came from in _extractedFrom.path
+     * Running it on an already normalized set returns an equivalent set
+     */
+    normalize(schemas) {
+        if (!Array.isArray(schemas)) {
+            schemas = schemas ? [schemas] : [];
+        }
+
+        const nodes = [];
+
+        schemas.forEach(schema => {
+            if (!schema || typeof schema !== 'object') return;
+
+            const metadata = this.getMetadata(schema);
+            const basePath = metadata._extractedFrom?.path || '$';
+
+            if (Array.isArray(schema)) {
+                schema.forEach((item, index) => {
+                    this.collectRoot(item, this.appendPath(basePath, index), null, metadata, nodes);
+                });
+            } else {
+                this.collectRoot(schema, basePath, null, metadata, nodes);
+            }
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Handle a root object: expand @graph, then lift embedded entities
+     */
+    collectRoot(schema, path, inheritedContext, metadata, nodes) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return;
+
+        const context = schema['@context'] !== undefined ? schema['@context'] : inheritedContext;
+        const { '@graph': graph, ...rest } = this.stripMetadata(schema);
+
+        if (graph !== undefined) {
+            [].concat(graph).forEach((item, index) => {
+                const graphPath = Array.isArray(graph)
+                    ? this.appendPath(this.appendPath(path, '@graph'), index)
+                    : this.appendPath(path, '@graph');
+                this.collectRoot(item, graphPath, context, metadata, nodes);
+            });
+        }
+
+        // A bare @graph wrapper is a container, not an entity
+        const ownKeys = Object.keys(rest).filter(key => key !== '@context');
+        if (graph !== undefined && ownKeys.length === 0) return;
+
+        this.emitNode(rest, path, context, metadata, nodes);
+    }
+
+    /**
+     * Lift embedded entities out of a node and add it to the set
+     */
+    emitNode(schema, path, context, metadata, nodes) {
+        const node = {};
+
+        // Reserve the slot so parents stay ahead of the entities lifted out of them
+        const slot = nodes.length;
+        nodes.push(null);
+
+        if (context !== undefined && context !== null) {
+            node['@context'] = context;
+        }
+
+        Object.keys(schema).forEach(key => {
+            if (key === '@context') return;
+            node[key] = this.liftValue(schema[key], this.appendPath(path, key), context, metadata, nodes);
+        });
+
+        if (!node['@type'] && !node['@id']) {
+            nodes.splice(slot, 1);
+            return;
+        }
+
+        nodes[slot] = {
+            ...node,
+            ...metadata,
+            _extractedFrom: {
+                ...(metadata._extractedFrom || {}),
+                path
+            }
+        };
+    }
+
+    /**
+     * Replace embedded entities with references, recursing into values
+     */
+    liftValue(value, path, context, metadata, nodes) {
+        if (Array.isArray(value)) {
+            return value.map((item, index) =>
+                this.liftValue(item, this.appendPath(path, index), context, metadata, nodes)
+            );
+        }
+
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        // Value objects and JSON literals are not entities
+        if ('@value' in value || '@list' in value || '@set' in value) {
+            return value;
+        }
+
+        if (this.isEmbeddedEntity(value)) {
+            const nestedContext = value['@context'] !== undefined ? value['@context'] : context;
+            this.emitNode(value, path, nestedContext, metadata, nodes);
+            return { '@id': value['@id'] };
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = key === '@context'
+                ? value[key]
+                : this.liftValue(value[key], this.appendPath(path, key), context, metadata, nodes);
+        });
+        return result;
+    }
+
+    /**
+     * An embedded entity is a typed node with an @id, not just a reference
+     * Untyped { "@id", "name" } values (e.g. breadcrumb items) stay inline
+     */
+    isEmbeddedEntity(value) {
+        if (typeof value['@id'] !== 'string' || !value['@id']) return false;
+        return value['@type'] !== undefined;
+    }
+
+    /**
+     * Underscore-prefixed keys are extraction metadata, shared by every node from the same root
+     */
+    getMetadata(schema) {
+        const metadata = {};
+        if (Array.isArray(schema)) return metadata;
+
+        Object.keys(schema).forEach(key => {
+            if (key.startsWith('_')) metadata[key] = schema[key];
+        });
+        return metadata;
+    }
+
+    stripMetadata(schema) {
+        const stripped = {};
+        Object.keys(schema).forEach(key => {
+            if (!key.startsWith('_')) stripped[key] = schema[key];
+        });
+        return stripped;
+    }
+
+    /**
+     * Append a key or index to a JSONPath expression
+     */
+    appendPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}.${key}`;
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+}
+
+module.exports = SchemaNormalizer;
@@ -0,0 +1,206 @@
+// api/services/sitemapReader.js - Streaming Sitemap Reader
+// Reads sitemaps and nested sitemap indexes entry by entry, gzipped or not, without holding whole files
+
+const axios = require('axios');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const config = require('../../config');
+
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+// Text kept while waiting for an entry's closing tag; anything longer is not a sitemap entry
+const MAX_PENDING_CHARS = 1024 * 1024;
+
+class SitemapReader {
+    constructor(options = {}) {
+        const settings = config.crawler.sitemaps;
+
+        this.userAgent = options.userAgent || config.crawler.userAgent;
+        this.timeout = options.timeout || settings.timeout;
+        this.maxUrls = options.maxUrls || settings.maxUrls;
+        this.maxSitemaps = options.maxSitemaps || settings.maxSitemaps;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : settings.maxDepth;
+
+        // Limits hold across every read() of one reader, so a scan shares them
+        this.seen = new Set();
+        this.urlCount = 0;
+    }
+
+    /**
+     * Read a sitemap or sitemap index, following nested indexes depth first
+     * onUrl gets { url, lastmod, changefreq, priority, source } for every <url> entry
+     * Resolves with one record per sitemap file; a file that fails has error set and does not stop the others
+     */
+    async read(sitemapUrl, onUrl) {
+        const records = [];
+        await this.readSitemap(sitemapUrl, 0, records, onUrl);
+        return records;
+    }
+
+    async readSitemap(sitemapUrl, depth, records, onUrl) {
+        if (this.seen.has(sitemapUrl) || this.seen.size >= this.maxSitemaps || this.urlCount >= this.maxUrls) return;
+        this.seen.add(sitemapUrl);
+
+        const record = { url: sitemapUrl, type: null, gzip: false, depth, urls: 0, sitemaps: 0, truncated: false, error: null };
+        records.push(record);
+        const children = [];
+
+        try {
+            const stream = await this.open(sitemapUrl, record);
+            await this.parse(stream, (element, fields) => {
+                if (!fields.loc) return true;
+
+                if (element === 'sitemap') {
+                    record.type = 'index';
+                    record.sitemaps++;
+                    children.push(fields.loc);
+                    return true;
+                }
+
+                record.type = 'urlset';
+                if (this.urlCount >= this.maxUrls) {
+                    record.truncated = true;
+                    return false;
+                }
+                this.urlCount++;
+                record.urls++;
+                onUrl({ url: fields.loc, lastmod: fields.lastmod, changefreq: fields.changefreq, priority: fields.priority, source: sitemapUrl });
+                return true;
+            });
+        } catch (error) {
+            record.error = error.message;
+        }
+
+        if (children.length > 0 && depth >= this.maxDepth) {
+            record.truncated = true;
+            return;
+        }
+        for (const child of children) {
+            await this.readSitemap(child, depth + 1, records, onUrl);
+        }
+    }
+
+    /**
+     * Response body as a text stream
+     * axios undoes Content-Encoding itself; .xml.gz files are usually served as plain gzip bodies, recognized by their magic bytes
+     */
+    async open(sitemapUrl, record) {
+        const response = await axios.get(sitemapUrl, {
+            responseType: 'stream',
+            timeout: this.timeout,
+            headers: { 'User-Agent': this.userAgent }
+        });
+
+        return new Promise((resolve, reject) => {
+            const body = response.data;
+            body.once('error', reject);
+            body.once('end', () => {
+                const empty = new PassThrough();
+                empty.end();
+                resolve(empty);
+            });
+            body.once('data', chunk => {
+                body.pause();
+                body.removeAllListeners('end');
+                body.removeListener('error', reject);
+
+                record.gzip = chunk[0] === 0x1f && chunk[1] === 0x8b;
+                const output = record.gzip ? zlib.createGunzip() : new PassThrough();
+                body.on('error', error => output.destroy(error));
+                // Stopping early destroys the output; the download should stop with it
+                output.on('close', () => body.destroy());
+                output.write(chunk);
+                body.pipe(output);
+                resolve(output);
+            });
+        });
+    }
+
+    /**
+     * Hand every complete <url> or <sitemap> element to onElement as it arrives
+     * onElement returns false to stop reading
+     */
+    parse(stream, onElement) {
+        return new Promise((resolve, reject) => {
+            const decoder = new StringDecoder('utf8');
+            const pattern = /<(url|sitemap)\b[^>]*>([\s\S]*?)<\/\1\s*>/g;
+            let pending = '';
+            let done = false;
+
+            const finish = error => {
+                if (done) return;
+                done = true;
+                stream.destroy();
+                if (error) reject(error);
+                else resolve();
+            };
+
+            const drain = text => {
+                pending += text;
+                pattern.lastIndex = 0;
+
+                let consumed = 0;
+                let match;
+                while ((match = pattern.exec(pending)) !== null) {
+                    consumed = pattern.lastIndex;
+                    if (onElement(match[1], this.readFields(match[2])) === false) {
+                        finish();
+                        return;
+                    }
+                }
+
+                pending = pending.slice(consumed);
+                if (pending.length > MAX_PENDING_CHARS) {
+                    pending = pending.slice(-MAX_PENDING_CHARS);
+                }
+            };
+
+            stream.on('data', chunk => {
+                if (!done) drain(decoder.write(chunk));
+            });
+            stream.on('end', () => {
+                if (!done) drain(decoder.end());
+                finish();
+            });
+            stream.on('error', error => finish(error));
+        });
+    }
+
+    /**
+     * loc, lastmod (as ISO 8601), changefreq and priority of one entry; invalid values become null
+     */
+    readFields(xml) {
+        const text = name => {
+            const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}\\s*>`));
+            return match ? this.decodeText(match[1]) : null;
+        };
+
+        const lastmod = text('lastmod');
+        const lastmodDate = lastmod ? new Date(lastmod) : null;
+        const changefreq = (text('changefreq') || '').toLowerCase();
+        const priority = parseFloat(text('priority'));
+
+        return {
+            loc: text('loc'),
+            lastmod: lastmodDate && !isNaN(lastmodDate) ? lastmodDate.toISOString() : null,
+            changefreq: CHANGEFREQS.includes(changefreq) ? changefreq : null,
+            priority: priority >= 0 && priority <= 1 ? priority : null
+        };
+    }
+
+    decodeText(value) {
+        return value
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&')
+            .trim() || null;
+    }
+}
+
+module.exports = SitemapReader;
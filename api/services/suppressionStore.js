@@ -0,0 +1,257 @@
+// api/services/suppressionStore.js - Issue Suppressions and Baselines
+// Per-site accepted issues (kept out of scores) and baselines of known issues for CI
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const IssueCatalog = require('./issueCatalog');
+
+const BASELINE_FORMAT = 'schema-web-analyzer/baseline';
+const BASELINE_VERSION = 1;
+
+class SuppressionStore {
+    constructor(options = {}) {
+        this.dir = options.dir || config.storage.suppressions.dir;
+        this.catalog = options.catalog || new IssueCatalog();
+    }
+
+    /**
+     * Sites are keyed by hostname, so every page of a site shares one file
+     * Accepts a page URL or a bare hostname; "www." is ignored
+     */
+    siteKey(urlOrHost) {
+        let host = String(urlOrHost || '').trim().toLowerCase();
+        try {
+            host = new URL(host).hostname;
+        } catch (error) {
+            // Not a URL; treat it as a hostname
+        }
+
+        host = host.replace(/^www\./, '');
+        if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)) {
+            throw new Error(`"${urlOrHost}" is not a site URL or hostname`);
+        }
+        return host;
+    }
+
+    read(site) {
+        const key = this.siteKey(site);
+        const file = path.join(this.dir, `${key}.json`);
+        if (!fs.existsSync(file)) {
+            return { site: key, suppressions: [], baseline: null };
+        }
+        return { site: key, suppressions: [], baseline: null, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+
+    write(data) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${data.site}.json`), JSON.stringify(data, null, 2));
+        return data;
+    }
+
+    /**
+     * Suppressions for a site, each flagged when its expiry has passed
+     */
+    list(site, now = new Date()) {
+        return this.read(site).suppressions.map(suppression => ({
+            ...suppression,
+            expired: this.isExpired(suppression, now)
+        }));
+    }
+
+    add(site, definition) {
+        const data = this.read(site);
+        const suppression = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...this.validate(definition),
+            created_at: new Date().toISOString()
+        };
+
+        data.suppressions.push(suppression);
+        this.write(data);
+        return suppression;
+    }
+
+    remove(site, id) {
+        const data = this.read(site);
+        const remaining = data.suppressions.filter(suppression => suppression.id !== id);
+        if (remaining.length === data.suppressions.length) return false;
+
+        this.write({ ...data, suppressions: remaining });
+        return true;
+    }
+
+    /**
+     * Check a suppression definition and keep only the fields the store understands
+     * rule_id may name a family ("custom.*"); url_pattern is a regular expression tested against the page URL
+     */
+    validate(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Suppression must be an object');
+        }
+
+        const ruleId = String(definition.rule_id || '');
+        if (!ruleId) throw new Error('Suppression needs a rule_id');
+        if (!ruleId.endsWith('.*')) this.catalog.getRule(ruleId);
+
+        if (!definition.reason || typeof definition.reason !== 'string') {
+            throw new Error(`Suppression of "${ruleId}" needs a reason`);
+        }
+
+        if (definition.url_pattern) {
+            try {
+                new RegExp(definition.url_pattern);
+            } catch (error) {
+                throw new Error(`Suppression of "${ruleId}" has an invalid url_pattern: ${error.message}`);
+            }
+        }
+
+        if (definition.expires && Number.isNaN(Date.parse(definition.expires))) {
+            throw new Error(`Suppression of "${ruleId}" has an invalid expires date "${definition.expires}"`);
+        }
+
+        return {
+            rule_id: ruleId,
+            url_pattern: definition.url_pattern || null,
+            entity_id: definition.entity_id || null,
+            reason: definition.reason,
+            expires: definition.expires || null
+        };
+    }
+
+    isExpired(suppression, now = new Date()) {
+        return Boolean(suppression.expires) && new Date(suppression.expires) <= now;
+    }
+
+    matches(suppression, issue, url) {
+        const ruleMatches = suppression.rule_id.endsWith('.*')
+            ? issue.rule_id.startsWith(suppression.rule_id.slice(0, -1))
+            : issue.rule_id === suppression.rule_id;
+        if (!ruleMatches) return false;
+
+        if (suppression.url_pattern && !new RegExp(suppression.url_pattern).test(issue.page || url || '')) return false;
+        if (suppression.entity_id && issue.entity?.id !== suppression.entity_id) return false;
+        return true;
+    }
+
+    /**
+     * Stable identity of an issue across scans: rule, page, entity and JSON path
+     * Messages are left out so rewording a check does not turn known issues into new ones
+     */
+    fingerprint(issue, url) {
+        return [
+            issue.rule_id,
+            issue.page || url || '',
+            issue.entity?.id || issue.entity?.type || '',
+            issue.path || issue.location || ''
+        ].join(' | ');
+    }
+
+    /**
+     * Split a page's issues into active and suppressed, and compare the active ones with the site baseline
+     * Suppressed issues carry the suppression that matched them; baseline is null until one is recorded
+     */
+    evaluate(issues, url, now = new Date()) {
+        const data = this.read(url);
+        const suppressions = data.suppressions.filter(suppression => !this.isExpired(suppression, now));
+        const active = [];
+        const suppressed = [];
+
+        issues.forEach(issue => {
+            const suppression = suppressions.find(candidate => this.matches(candidate, issue, url));
+            if (suppression) {
+                suppressed.push({
+                    ...issue,
+                    suppression: { id: suppression.id, reason: suppression.reason, expires: suppression.expires }
+                });
+            } else {
+                active.push(issue);
+            }
+        });
+
+        return {
+            issues: active,
+            suppressed,
+            baseline: data.baseline ? this.compare(active, url, data.baseline) : null
+        };
+    }
+
+    compare(issues, url, baseline) {
+        const known = new Set(baseline.issues.map(entry => entry.fingerprint));
+        const current = new Set(issues.map(issue => this.fingerprint(issue, url)));
+        const newIssues = issues.filter(issue => !known.has(this.fingerprint(issue, url)));
+
+        return {
+            updated_at: baseline.updated_at,
+            known: issues.length - newIssues.length,
+            new_issues: newIssues,
+            resolved: baseline.issues.filter(entry => entry.page === url && !current.has(entry.fingerprint)).length
+        };
+    }
+
+    /**
+     * Record a page's active issues as known, replacing whatever the baseline held for that page
+     */
+    updateBaseline(url, issues) {
+        const data = this.read(url);
+        const entries = issues.map(issue => ({
+            fingerprint: this.fingerprint(issue, url),
+            rule_id: issue.rule_id,
+            page: url
+        }));
+
+        data.baseline = {
+            updated_at: new Date().toISOString(),
+            issues: [...(data.baseline?.issues || []).filter(entry => entry.page !== url), ...entries]
+        };
+        this.write(data);
+        return data.baseline;
+    }
+
+    /**
+     * Baseline file: the site's suppressions plus its known issues, for committing next to a CI job
+     */
+    exportBaseline(site) {
+        const data = this.read(site);
+        return {
+            format: BASELINE_FORMAT,
+            version: BASELINE_VERSION,
+            site: data.site,
+            exported_at: new Date().toISOString(),
+            suppressions: data.suppressions,
+            baseline: data.baseline
+        };
+    }
+
+    /**
+     * Replace a site's suppressions and baseline with an exported file
+     */
+    importBaseline(site, file) {
+        if (!file || file.format !== BASELINE_FORMAT) {
+            throw new Error(`Not a baseline file (expected format "${BASELINE_FORMAT}")`);
+        }
+        if (file.version !== BASELINE_VERSION) {
+            throw new Error(`Unsupported baseline version ${file.version}`);
+        }
+
+        const suppressions = (file.suppressions || []).map(suppression => ({
+            id: suppression.id || crypto.randomBytes(6).toString('hex'),
+            ...this.validate(suppression),
+            created_at: suppression.created_at || new Date().toISOString()
+        }));
+
+        const entries = file.baseline?.issues || [];
+        if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry.fingerprint !== 'string')) {
+            throw new Error('Baseline issues must each have a fingerprint');
+        }
+
+        return this.write({
+            site: this.siteKey(site),
+            suppressions,
+            baseline: file.baseline ? { updated_at: file.baseline.updated_at || null, issues: entries } : null
+        });
+    }
+}
+
+module.exports = SuppressionStore;
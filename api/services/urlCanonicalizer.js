@@ -0,0 +1,110 @@
+// api/services/urlCanonicalizer.js - URL Canonicalization
+// One URL per page in a site scan, and the duplicate URLs that were collapsed into it
+
+const { URLUtils } = require('../../utils');
+const config = require('../../config');
+
+const TRAILING_SLASH = ['remove', 'add', 'keep'];
+
+class UrlCanonicalizer {
+    /**
+     * options are a scan's canonicalization options (allow_params, deny_params, trailing_slash,
+     * default_documents, follow_canonical); anything left out comes from config.crawler.canonicalization
+     */
+    constructor(options = {}) {
+        const settings = config.crawler.canonicalization;
+        const pick = (value, fallback) => (value !== undefined ? value : fallback);
+
+        this.rules = {
+            allowParams: pick(options.allow_params, settings.allowParams),
+            denyParams: pick(options.deny_params, settings.denyParams),
+            trailingSlash: pick(options.trailing_slash, settings.trailingSlash),
+            defaultDocuments: pick(options.default_documents, settings.defaultDocuments)
+        };
+        if (!TRAILING_SLASH.includes(this.rules.trailingSlash)) {
+            throw new Error(`Unknown trailing slash policy "${this.rules.trailingSlash}" (expected ${TRAILING_SLASH.join(', ')})`);
+        }
+        this.followCanonical = pick(options.follow_canonical, settings.followCanonical) === true;
+
+        // Canonical URL -> { seen: reached in its canonical form, variants: URL -> reason }
+        this.clusters = new Map();
+        // URLs met already canonical, so a cluster formed later knows its canonical form was linked too
+        this.exact = new Set();
+    }
+
+    /**
+     * The canonical form of a URL; a URL that changes is remembered as a duplicate of its canonical form
+     */
+    normalize(url) {
+        const normalized = URLUtils.normalizeUrl(url, this.rules);
+        if (normalized === url) {
+            this.exact.add(url);
+            if (this.clusters.has(url)) this.clusters.get(url).seen = true;
+        } else {
+            this.addVariant(normalized, url, 'normalized');
+        }
+        return normalized;
+    }
+
+    /**
+     * With follow_canonical, the canonical URL a fetched page declares with rel=canonical,
+     * when that is another page of the same site; otherwise null
+     */
+    canonicalOf(url, page) {
+        if (!this.followCanonical || !page.canonical) return null;
+
+        let canonical;
+        try {
+            canonical = URLUtils.normalizeUrl(new URL(page.canonical, url).href, this.rules);
+            if (canonical === url || new URL(canonical).origin !== new URL(url).origin) return null;
+        } catch (error) {
+            return null;
+        }
+        return canonical;
+    }
+
+    /**
+     * Record url as a duplicate of canonical; reason is 'normalized' or 'rel_canonical'
+     */
+    addVariant(canonical, url, reason) {
+        if (!this.clusters.has(canonical)) {
+            this.clusters.set(canonical, { seen: this.exact.has(canonical), variants: new Map() });
+        }
+
+        const cluster = this.clusters.get(canonical);
+        // A page declared canonical exists even if nothing linked to it as such
+        if (reason === 'rel_canonical') cluster.seen = true;
+        if (!cluster.variants.has(url)) cluster.variants.set(url, reason);
+    }
+
+    /**
+     * Clusters of two or more URLs for the same page, largest first:
+     * [{ url, variants: [{ url, reason }] }]
+     * A URL that was only ever met in one non-canonical form is rewritten but is not a duplicate
+     */
+    report() {
+        return Array.from(this.clusters.entries())
+            .filter(([, cluster]) => cluster.variants.size + (cluster.seen ? 1 : 0) > 1)
+            .map(([url, cluster]) => ({
+                url,
+                variants: Array.from(cluster.variants.entries()).map(([variant, reason]) => ({ url: variant, reason }))
+            }))
+            .sort((a, b) => b.variants.length - a.variants.length);
+    }
+
+    /**
+     * Clusters in a JSON-safe form, for a persisted scan
+     */
+    toJSON() {
+        return Array.from(this.clusters.entries())
+            .map(([url, cluster]) => [url, cluster.seen, Array.from(cluster.variants.entries())]);
+    }
+
+    restore(entries = []) {
+        entries.forEach(([url, seen, variants]) => {
+            this.clusters.set(url, { seen, variants: new Map(variants) });
+        });
+    }
+}
+
+module.exports = UrlCanonicalizer;
@@ -0,0 +1,186 @@
+// api/services/valueValidator.js - Property Value Validation
+// Checks literal values against the datatype their property expects
+
+const SchemaNormalizer = require('./schemaNormalizer');
+const VocabularyValidator = require('./vocabularyValidator');
+const { ValidationUtils } = require('../../utils');
+
+const DATE_FORMAT = {
+    code: 'invalid_date',
+    check: value => ValidationUtils.isIsoDate(value),
+    description: 'an ISO 8601 date or date-time such as 2024-05-01 or 2024-05-01T19:00:00+02:00'
+};
+
+// Formats for text values of properties whose range is one of these datatypes
+const DATA_TYPE_FORMATS = {
+    Date: DATE_FORMAT,
+    DateTime: DATE_FORMAT,
+    Time: { code: 'invalid_time', check: value => ValidationUtils.isIsoTime(value), description: 'an ISO 8601 time such as 19:00' },
+    Duration: { code: 'invalid_duration', check: value => ValidationUtils.isIsoDuration(value), description: 'an ISO 8601 duration such as PT1H30M' },
+    URL: { code: 'invalid_url', check: value => ValidationUtils.isAbsoluteUrl(value), description: 'an absolute URL' }
+};
+
+const CURRENCY_PROPERTIES = ['priceCurrency', 'currency'];
+const PRICE_PROPERTIES = ['price', 'lowPrice', 'highPrice', 'minPrice', 'maxPrice'];
+const TELEPHONE_PROPERTIES = ['telephone', 'faxNumber'];
+
+// schema.org defaults when a rating does not state its scale
+const DEFAULT_BEST_RATING = 5;
+const DEFAULT_WORST_RATING = 1;
+
+class ValueValidator {
+    constructor(options = {}) {
+        this.vocabulary = options.vocabulary || new VocabularyValidator();
+        this.normalizer = new SchemaNormalizer();
+    }
+
+    /**
+     * Validate property values of processed schema nodes, nested nodes included
+     */
+    validate(schemas) {
+        const issues = [];
+
+        (schemas || []).forEach((schema, index) => {
+            if (!schema || typeof schema !== 'object') return;
+
+            const firstIssue = issues.length;
+            this.validateNode(schema, schema._extractedFrom?.path || '$', index, issues);
+
+            const location = schema._extractedFrom?.location || null;
+            issues.slice(firstIssue).forEach(issue => { issue.location = location; });
+        });
+
+        return {
+            valid: !issues.some(issue => issue.severity === 'error'),
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            issues
+        };
+    }
+
+    validateNode(node, nodePath, schemaIndex, issues) {
+        const types = this.vocabulary.getTypes(node);
+        const report = (code, severity, message, details) => issues.push({
+            code,
+            severity,
+            message,
+            schema_index: schemaIndex,
+            type: types.length > 0 ? types.join(', ') : null,
+            ...details
+        });
+
+        Object.keys(node).forEach(key => {
+            if (key.startsWith('@') || key.startsWith('_')) return;
+
+            const property = this.vocabulary.toTerm(key);
+            const propertyPath = this.normalizer.appendPath(nodePath, key);
+            const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+
+            values.forEach((value, valueIndex) => {
+                const valuePath = Array.isArray(node[key])
+                    ? this.normalizer.appendPath(propertyPath, valueIndex)
+                    : propertyPath;
+
+                if (value && typeof value === 'object' && !('@value' in value)) {
+                    if (!('@list' in value)) this.validateNode(value, valuePath, schemaIndex, issues);
+                    return;
+                }
+
+                if (property !== null) {
+                    this.validateValue(property, this.toLiteral(value), valuePath, report);
+                }
+            });
+        });
+
+        this.validateRating(node, nodePath, report);
+    }
+
+    validateValue(property, value, valuePath, report) {
+        if (value === null || value === undefined || value === '') return;
+        const details = { path: valuePath, property, value };
+
+        if (CURRENCY_PROPERTIES.includes(property)) {
+            if (!ValidationUtils.isCurrencyCode(value)) {
+                report('invalid_currency', 'error',
+                    `"${value}" is not an ISO 4217 currency code (e.g. USD, EUR)`, details);
+            }
+            return;
+        }
+
+        if (PRICE_PROPERTIES.includes(property)) {
+            if (!ValidationUtils.isNumericValue(value)) {
+                report('invalid_price', 'error',
+                    `"${property}" must be a plain number without currency symbols or thousands separators, found "${value}"`, details);
+            }
+            return;
+        }
+
+        if (TELEPHONE_PROPERTIES.includes(property)) {
+            if (!ValidationUtils.isInternationalPhone(String(value))) {
+                const advice = String(value).trim().startsWith('+')
+                    ? 'expected 7 to 15 digits after the country code'
+                    : 'include the country code, e.g. +1-212-555-0100';
+                report('invalid_telephone', 'warning',
+                    `"${value}" is not an international phone number; ${advice}`, details);
+            }
+            return;
+        }
+
+        if (typeof value !== 'string') return;
+
+        // Only judge text when every datatype the property accepts has a known format
+        const range = this.vocabulary.vocabulary.properties[property] || [];
+        const formats = range.filter(type => this.vocabulary.isDataType(type)).map(type => DATA_TYPE_FORMATS[type]);
+        if (formats.length === 0 || formats.includes(undefined)) return;
+        if (formats.some(format => format.check(value))) return;
+
+        const format = formats[0];
+        if (format.code === 'invalid_url' && !/\s/.test(value.trim())) {
+            report('relative_url', 'warning',
+                `"${property}" should be an absolute URL, found "${value}"`, details);
+            return;
+        }
+
+        report(format.code, 'error',
+            `"${property}" should be ${[...new Set(formats.map(candidate => candidate.description))].join(' or ')}, found "${value}"`, {
+                ...details,
+                expected: range.filter(type => this.vocabulary.isDataType(type))
+            });
+    }
+
+    /**
+     * ratingValue must be numeric and fall within the rating's own scale
+     */
+    validateRating(node, nodePath, report) {
+        const rating = this.toLiteral(node.ratingValue);
+        if (rating === undefined || rating === null || Array.isArray(node.ratingValue)) return;
+
+        const details = { path: this.normalizer.appendPath(nodePath, 'ratingValue'), property: 'ratingValue', value: rating };
+        if (!ValidationUtils.isNumericValue(rating)) {
+            report('invalid_rating', 'error', `"ratingValue" must be a number, found "${rating}"`, details);
+            return;
+        }
+
+        const best = this.readScale(node.bestRating, DEFAULT_BEST_RATING);
+        const worst = this.readScale(node.worstRating, DEFAULT_WORST_RATING);
+        const value = parseFloat(rating);
+
+        if (value < worst || value > best) {
+            report('rating_out_of_range', 'error',
+                `ratingValue ${value} is outside the rating scale ${worst}-${best}` +
+                (node.bestRating === undefined ? '; set bestRating when the scale is not 1-5' : ''), details);
+        }
+    }
+
+    readScale(value, fallback) {
+        const literal = this.toLiteral(value);
+        return ValidationUtils.isNumericValue(literal) ? parseFloat(literal) : fallback;
+    }
+
+    toLiteral(value) {
+        if (value !== null && typeof value === 'object' && '@value' in value) return value['@value'];
+        return value;
+    }
+}
+
+module.exports = ValueValidator;
@@ -0,0 +1,272 @@
+// api/services/vocabularyValidator.js - Schema.org Vocabulary Validation
+// Checks types, property domains and value ranges against a pinned vocabulary snapshot
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const JsonLdProcessor = require('./jsonLdProcessor');
+const SchemaNormalizer = require('./schemaNormalizer');
+
+// Role (and its subtypes) may wrap the value of any property
+const ROLE_TYPE = 'Role';
+const SCHEMA_ORG_PATTERN = /^https?:\/\/schema\.org\//i;
+
+class VocabularyValidator {
+    constructor(options = {}) {
+        const settings = config.schema.vocabulary;
+        this.version = options.version || settings.version;
+
+        const file = path.join(options.dir || settings.dir, `${this.version}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Schema.org vocabulary snapshot "${this.version}" not found at ${file}`);
+        }
+
+        this.vocabulary = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.jsonLd = options.jsonLd || new JsonLdProcessor();
+        this.normalizer = new SchemaNormalizer();
+        this.ancestorCache = new Map();
+    }
+
+    /**
+     * Validate processed schema nodes; each finding carries the JSON path it applies to
+     */
+    validate(schemas) {
+        const issues = [];
+        const nodeTypes = this.indexNodeTypes(schemas);
+
+        (schemas || []).forEach((schema, index) => {
+            if (!schema || typeof schema !== 'object') return;
+
+            const basePath = schema._extractedFrom?.path || '$';
+            const firstIssue = issues.length;
+            this.validateNode(schema, basePath, index, nodeTypes, issues);
+
+            // Paths are relative to the script block or markup item named by location
+            const location = schema._extractedFrom?.location || null;
+            issues.slice(firstIssue).forEach(issue => { issue.location = location; });
+        });
+
+        return {
+            vocabulary_version: this.version,
+            valid: !issues.some(issue => issue.severity === 'error'),
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            issues
+        };
+    }
+
+    /**
+     * Remember node types by @id so { "@id" } references can be range checked
+     */
+    indexNodeTypes(schemas) {
+        const nodeTypes = new Map();
+
+        (schemas || []).forEach(schema => {
+            if (!schema || typeof schema['@id'] !== 'string') return;
+            const types = this.getTypes(schema);
+            if (types.length > 0) {
+                nodeTypes.set(schema['@id'], [...(nodeTypes.get(schema['@id']) || []), ...types]);
+            }
+        });
+
+        return nodeTypes;
+    }
+
+    validateNode(node, nodePath, schemaIndex, nodeTypes, issues) {
+        const types = this.getTypes(node);
+        const report = (code, severity, message, details) => issues.push({
+            code,
+            severity,
+            message,
+            path: details.path || nodePath,
+            schema_index: schemaIndex,
+            type: types.length > 0 ? types.join(', ') : null,
+            ...details
+        });
+
+        types.filter(type => !this.isKnownType(type)).forEach(type => {
+            report('unknown_type', 'error', `"${type}" is not a schema.org type`, {
+                path: this.normalizer.appendPath(nodePath, '@type'),
+                value: type
+            });
+        });
+
+        const knownTypes = types.filter(type => this.isKnownType(type));
+
+        Object.keys(node).forEach(key => {
+            if (key.startsWith('@') || key.startsWith('_')) return;
+
+            const property = this.toTerm(key);
+            if (property === null || this.isActionAnnotation(property)) return;
+
+            const propertyPath = this.normalizer.appendPath(nodePath, key);
+            const range = this.vocabulary.properties[property];
+
+            if (!range) {
+                report('unknown_property', 'error', `"${property}" is not a schema.org property`, {
+                    path: propertyPath,
+                    property
+                });
+                return;
+            }
+
+            if (knownTypes.length > 0 && !knownTypes.some(type => this.typeHasProperty(type, property))) {
+                report('property_not_in_domain', 'warning',
+                    `"${property}" is not a property of ${knownTypes.join(' or ')} or its supertypes`, {
+                        path: propertyPath,
+                        property
+                    });
+            }
+
+            const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+            values.forEach((value, valueIndex) => {
+                const valuePath = Array.isArray(node[key])
+                    ? this.normalizer.appendPath(propertyPath, valueIndex)
+                    : propertyPath;
+                this.validateValue(property, range, value, valuePath, schemaIndex, nodeTypes, issues, report);
+            });
+        });
+    }
+
+    /**
+     * Check one property value against the property's declared range
+     */
+    validateValue(property, range, value, valuePath, schemaIndex, nodeTypes, issues, report) {
+        if (value === null || value === undefined) return;
+
+        const expected = range.join(', ');
+
+        if (typeof value === 'string') {
+            const enumerations = range.filter(type => this.vocabulary.enumerationMembers[type]);
+
+            // Only judge strings when every allowed value is an enumeration member;
+            // IRIs from other vocabularies are left alone
+            const foreignIri = /^[a-z][a-z0-9+.-]*:/i.test(value) && !SCHEMA_ORG_PATTERN.test(value);
+            if (enumerations.length === range.length && !foreignIri &&
+                !enumerations.some(type => this.isEnumerationMember(type, value.trim().replace(SCHEMA_ORG_PATTERN, '')))) {
+                report('value_out_of_range', 'warning',
+                    `"${value}" is not a valid value for "${property}" (expected ${expected})`, {
+                        path: valuePath,
+                        property,
+                        value,
+                        expected: range
+                    });
+            }
+            return;
+        }
+
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            if (!range.some(type => this.isDataType(type))) {
+                report('value_out_of_range', 'warning',
+                    `"${property}" expects ${expected}, not a literal ${typeof value}`, {
+                        path: valuePath,
+                        property,
+                        value,
+                        expected: range
+                    });
+            }
+            return;
+        }
+
+        if (typeof value !== 'object' || '@value' in value || '@list' in value) return;
+
+        // References are checked against the type of the node they point to
+        const isReference = Object.keys(value).every(key => key === '@id');
+        const valueTypes = isReference
+            ? (nodeTypes.get(value['@id']) || [])
+            : this.getTypes(value);
+
+        const knownValueTypes = valueTypes.filter(type => this.isKnownType(type));
+        if (knownValueTypes.length > 0 &&
+            !knownValueTypes.some(type => this.isSubtypeOf(type, ROLE_TYPE) || range.some(allowed => this.isSubtypeOf(type, allowed)))) {
+            report('value_out_of_range', 'warning',
+                `"${property}" expects ${expected}, but the value is a ${knownValueTypes.join(', ')}`, {
+                    path: valuePath,
+                    property,
+                    value_type: knownValueTypes.join(', '),
+                    expected: range
+                });
+        }
+
+        // Inline nodes are validated in place; untyped objects cannot be checked
+        if (!isReference && valueTypes.length > 0) {
+            this.validateNode(value, valuePath, schemaIndex, nodeTypes, issues);
+        }
+    }
+
+    getTypes(node) {
+        return [].concat(node['@type'] || [])
+            .map(type => this.toTerm(type))
+            .filter(type => type !== null);
+    }
+
+    /**
+     * schema.org term for a key or type, or null when it belongs to another vocabulary
+     */
+    toTerm(value) {
+        if (typeof value !== 'string') return null;
+        const term = this.jsonLd.compactIri(value);
+        return typeof term === 'string' && !term.includes(':') ? term : null;
+    }
+
+    /**
+     * Potential action annotations such as "query-input" describe an action's inputs
+     */
+    isActionAnnotation(property) {
+        const match = property.match(/^(.+)-(input|output)$/);
+        return !!match && !!this.vocabulary.properties[match[1]];
+    }
+
+    isKnownType(type) {
+        return !!this.vocabulary.types[type] || this.isDataType(type);
+    }
+
+    isDataType(type) {
+        return !!this.vocabulary.dataTypes[type];
+    }
+
+    /**
+     * A type plus all of its supertypes (schema.org allows several parents)
+     */
+    getAncestors(type) {
+        if (this.ancestorCache.has(type)) return this.ancestorCache.get(type);
+
+        const ancestors = new Set([type]);
+        const pending = [type];
+        while (pending.length > 0) {
+            const current = pending.pop();
+            const parents = this.vocabulary.types[current]?.parents ||
+                Object.keys(this.vocabulary.dataTypes).filter(dataType =>
+                    this.vocabulary.dataTypes[dataType].includes(current)
+                );
+            parents.forEach(parent => {
+                if (!ancestors.has(parent)) {
+                    ancestors.add(parent);
+                    pending.push(parent);
+                }
+            });
+        }
+
+        this.ancestorCache.set(type, ancestors);
+        return ancestors;
+    }
+
+    isSubtypeOf(type, candidate) {
+        return this.getAncestors(type).has(candidate);
+    }
+
+    typeHasProperty(type, property) {
+        return [...this.getAncestors(type)].some(ancestor =>
+            (this.vocabulary.types[ancestor]?.properties || []).includes(property)
+        );
+    }
+
+    isEnumerationMember(enumeration, member) {
+        // Members of an enumeration's subtypes are also valid
+        return Object.keys(this.vocabulary.enumerationMembers).some(type =>
+            this.isSubtypeOf(type, enumeration) && this.vocabulary.enumerationMembers[type].includes(member)
+        );
+    }
+}
+
+module.exports = VocabularyValidator;
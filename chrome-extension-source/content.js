@@ -29,39 +29,536 @@ function extractAllSchemas() {
             console.log(`Processing script ${index}`);
             const parsed = JSON.parse(content);
             
-            // Normalize and validate schemas
-            const processSchema = (schema) => {
-                if (!schema || typeof schema !== 'object') return false;
-                if (!schema['@type']) return false;
-                schemas.push(schema);
-                return true;
-            };
-
-            if (Array.isArray(parsed)) {
-                parsed.forEach(item => processSchema(item));
-            } else if (parsed && typeof parsed === 'object') {
-                if (parsed['@graph'] && Array.isArray(parsed['@graph'])) {
-                    parsed['@graph'].forEach(item => processSchema(item));
-                } else {
-                    processSchema(parsed);
-                }
-            }
+            // Root objects as authored; @graph and embedded entities are flattened below
+            [].concat(parsed).forEach((schema, schemaIndex) => {
+                if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return;
+                schemas.push({
+                    ...schema,
+                    _extractedFrom: {
+                        syntax: 'json-ld',
+                        scriptIndex: index,
+                        path: Array.isArray(parsed) ? `$[${schemaIndex}]` : '$'
+                    }
+                });
+            });
             
         } catch (e) {
             console.error(`Error processing script ${index}:`, e);
-            errors.push({ script: index, error: e.message });
+            errors.push({ script: index, error: e.message, ...diagnoseJsonLdError(script.textContent) });
         }
     });
 
+    // Microdata (itemscope/itemprop) items
+    try {
+        const microdataItems = extractMicrodataItems();
+        console.log(`Found ${microdataItems.length} Microdata items`);
+        schemas.push(...microdataItems);
+    } catch (e) {
+        console.error('Error processing Microdata:', e);
+        errors.push({ syntax: 'microdata', error: e.message });
+    }
+
+    // RDFa Lite (vocab/typeof/property) nodes
+    try {
+        const rdfaItems = extractRdfaItems();
+        console.log(`Found ${rdfaItems.length} RDFa items`);
+        schemas.push(...rdfaItems);
+    } catch (e) {
+        console.error('Error processing RDFa:', e);
+        errors.push({ syntax: 'rdfa', error: e.message });
+    }
+
+    const nodes = normalizeSchemas(schemas);
+
     return {
-        success: schemas.length > 0,
-        schemas: schemas,
+        success: nodes.length > 0,
+        schemas: nodes,
         errors: errors,
-        count: schemas.length,
+        count: nodes.length,
         timestamp: Date.now()
     };
 }
 
+// Flatten @graph containers and embedded entities into one node set
+// (mirrors api/services/schemaNormalizer.js)
+// Typed entities with an @id are lifted out of their parent, which keeps { "@id" };
+// every node records the JSON path it came from in _extractedFrom.path
+function normalizeSchemas(schemas) {
+    const nodes = [];
+
+    const appendPath = (path, key) => {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}.${key}`;
+        return `${path}[${JSON.stringify(key)}]`;
+    };
+
+    const splitMetadata = (schema) => {
+        const metadata = {};
+        const rest = {};
+        Object.keys(schema).forEach(key => {
+            if (key.startsWith('_')) metadata[key] = schema[key];
+            else rest[key] = schema[key];
+        });
+        return { metadata, rest };
+    };
+
+    const liftValue = (value, path, context, metadata) => {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => liftValue(item, appendPath(path, index), context, metadata));
+        }
+        if (!value || typeof value !== 'object') return value;
+
+        // Value objects and JSON literals are not entities
+        if ('@value' in value || '@list' in value || '@set' in value) return value;
+
+        // Untyped { "@id", "name" } values (e.g. breadcrumb items) stay inline
+        if (typeof value['@id'] === 'string' && value['@id'] && value['@type'] !== undefined) {
+            emitNode(value, path, value['@context'] !== undefined ? value['@context'] : context, metadata);
+            return { '@id': value['@id'] };
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = key === '@context' ? value[key] : liftValue(value[key], appendPath(path, key), context, metadata);
+        });
+        return result;
+    };
+
+    const emitNode = (schema, path, context, metadata) => {
+        const node = {};
+
+        // Reserve the slot so parents stay ahead of the entities lifted out of them
+        const slot = nodes.length;
+        nodes.push(null);
+
+        if (context !== undefined && context !== null) node['@context'] = context;
+        Object.keys(schema).forEach(key => {
+            if (key !== '@context') node[key] = liftValue(schema[key], appendPath(path, key), context, metadata);
+        });
+
+        if (!node['@type'] && !node['@id']) {
+            nodes.splice(slot, 1);
+            return;
+        }
+        nodes[slot] = { ...node, ...metadata, _extractedFrom: { ...(metadata._extractedFrom || {}), path } };
+    };
+
+    const collectRoot = (schema, path, inheritedContext, metadata) => {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return;
+
+        const context = schema['@context'] !== undefined ? schema['@context'] : inheritedContext;
+        const { '@graph': graph, ...rest } = splitMetadata(schema).rest;
+
+        if (graph !== undefined) {
+            [].concat(graph).forEach((item, index) => {
+                const graphPath = Array.isArray(graph) ? appendPath(appendPath(path, '@graph'), index) : appendPath(path, '@graph');
+                collectRoot(item, graphPath, context, metadata);
+            });
+
+            // A bare @graph wrapper is a container, not an entity
+            if (Object.keys(rest).filter(key => key !== '@context').length === 0) return;
+        }
+
+        emitNode(rest, path, context, metadata);
+    };
+
+    schemas.forEach(schema => {
+        if (!schema || typeof schema !== 'object') return;
+        const { metadata } = splitMetadata(schema);
+        collectRoot(schema, metadata._extractedFrom?.path || '$', null, metadata);
+    });
+
+    return nodes;
+}
+
+// Locate a JSON-LD parse failure and try the common repairs
+// (mirrors api/services/jsonLdDiagnostics.js)
+function diagnoseJsonLdError(content) {
+    const text = content || '';
+    const tryParse = (value) => {
+        try {
+            JSON.parse(value);
+            return null;
+        } catch (e) {
+            return e;
+        }
+    };
+    const nextSignificantChar = (value, start) => {
+        for (let i = start; i < value.length; i++) {
+            if (!/\s/.test(value[i])) return value[i];
+        }
+        return null;
+    };
+    const walkStrings = (value, onStringChar) => {
+        let result = '';
+        let inString = false;
+        let escaped = false;
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (!inString) {
+                if (char === '"') inString = true;
+                result += onStringChar(null, char, i, value) ?? char;
+                continue;
+            }
+            if (escaped) {
+                escaped = false;
+                result += char;
+            } else if (char === '\\') {
+                escaped = true;
+                result += char;
+            } else {
+                const replaced = onStringChar(true, char, i, value);
+                if (char === '"' && replaced === undefined) inString = false;
+                result += replaced ?? char;
+            }
+        }
+        return result;
+    };
+
+    const repairs = [
+        {
+            code: 'cdata_wrapper',
+            message: 'Block is wrapped in CDATA or HTML comment markers',
+            apply: (value) => {
+                const opening = /^\s*(\/\/\s*)?(<!\[CDATA\[|<!--)/;
+                const closing = /(\/\/\s*)?(\]\]>|-->)\s*$/;
+                return opening.test(value) || closing.test(value)
+                    ? value.replace(opening, '').replace(closing, '')
+                    : value;
+            }
+        },
+        {
+            code: 'html_entities',
+            message: 'Block contains HTML-encoded characters such as &quot;',
+            apply: (value) => {
+                if (!/&(#x[0-9a-f]+|#\d+|[a-z]+);/i.test(value)) return value;
+                const textarea = document.createElement('textarea');
+                textarea.innerHTML = value;
+                return textarea.value;
+            }
+        },
+        {
+            code: 'trailing_comma',
+            message: 'Trailing comma before a closing } or ]',
+            apply: (value) => walkStrings(value, (inString, char, i, source) => {
+                if (inString || char !== ',') return undefined;
+                const next = nextSignificantChar(source, i + 1);
+                return next === '}' || next === ']' ? '' : undefined;
+            })
+        },
+        {
+            code: 'unescaped_quotes',
+            message: 'Unescaped double quote inside a string value',
+            heuristic: true,
+            apply: (value) => walkStrings(value, (inString, char, i, source) => {
+                if (!inString || char !== '"') return undefined;
+                const next = nextSignificantChar(source, i + 1);
+                return next === null || [',', ':', '}', ']'].includes(next) ? undefined : '\\"';
+            })
+        },
+        {
+            code: 'control_characters',
+            message: 'Raw line break or tab inside a string value',
+            apply: (value) => walkStrings(value, (inString, char) => {
+                if (!inString) return undefined;
+                return { '\n': '\\n', '\r': '\\r', '\t': '\\t' }[char];
+            })
+        }
+    ];
+
+    // Line/column from the V8 error message
+    const error = tryParse(text);
+    let position = text.length;
+    const positionMatch = error?.message.match(/at position (\d+)/);
+    const excerptMatch = error?.message.match(/^Unexpected token '(.+?)', (?:\.\.\.)?"([\s\S]*?)"(?:\.\.\.)? is not valid JSON/);
+    if (positionMatch) {
+        position = parseInt(positionMatch[1], 10);
+    } else if (excerptMatch && text.indexOf(excerptMatch[2]) !== -1) {
+        position = text.indexOf(excerptMatch[2]) + Math.max(0, excerptMatch[2].indexOf(excerptMatch[1]));
+    }
+    const linesBefore = text.substring(0, position).split('\n');
+    const line = linesBefore.length;
+    const column = linesBefore[linesBefore.length - 1].length + 1;
+    const lines = text.split('\n');
+    const snippet = [
+        `${line} | ${(lines[line - 1] || '').substring(0, 160)}`,
+        `${' '.repeat(String(line).length)} | ${' '.repeat(Math.min(column - 1, 160))}^`
+    ].join('\n');
+
+    // Repairs in order until the block parses
+    const applied = [];
+    let current = text;
+    for (const repair of repairs) {
+        if (tryParse(current) === null) break;
+        const next = repair.apply(current);
+        if (next !== current) {
+            applied.push(repair);
+            current = next;
+        }
+    }
+
+    const repaired = applied.length > 0 && tryParse(current) === null
+        ? JSON.stringify(JSON.parse(current), null, 2)
+        : null;
+    const issues = (repaired ? applied : applied.filter(repair => !repair.heuristic))
+        .map(({ code, message }) => ({ code, message }));
+
+    return { line, column, snippet, issues, repaired };
+}
+
+// Convert Microdata itemscope trees into JSON-LD shaped objects
+function extractMicrodataItems() {
+    const schemaOrgPattern = /^https?:\/\/schema\.org\//i;
+    const urlAttributes = {
+        A: 'href', AREA: 'href', LINK: 'href',
+        AUDIO: 'src', EMBED: 'src', IFRAME: 'src', IMG: 'src',
+        SOURCE: 'src', TRACK: 'src', VIDEO: 'src', OBJECT: 'data'
+    };
+
+    const splitTokens = (value) => (value || '').trim().split(/\s+/).filter(Boolean);
+    const shortenTerm = (term) => term.replace(schemaOrgPattern, '');
+    const resolveUrl = (value) => {
+        try {
+            return new URL(value, document.baseURI).href;
+        } catch (e) {
+            return value;
+        }
+    };
+
+    const getPropertyValue = (element) => {
+        const tagName = element.tagName;
+        if (tagName === 'META') return (element.getAttribute('content') || '').trim();
+        if (urlAttributes[tagName]) {
+            const raw = element.getAttribute(urlAttributes[tagName]) || '';
+            return raw ? resolveUrl(raw.trim()) : '';
+        }
+        if (tagName === 'DATA' || tagName === 'METER') return (element.getAttribute('value') || '').trim();
+        if (tagName === 'TIME' && element.hasAttribute('datetime')) return element.getAttribute('datetime').trim();
+        if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+
+    const collectProperties = (root) => {
+        const properties = [];
+        const pending = Array.from(root.children);
+        splitTokens(root.getAttribute('itemref')).forEach(refId => {
+            const referenced = document.getElementById(refId);
+            if (referenced) pending.push(referenced);
+        });
+
+        const visited = new Set();
+        while (pending.length > 0) {
+            const current = pending.shift();
+            if (visited.has(current) || current === root) continue;
+            visited.add(current);
+
+            if (current.hasAttribute('itemprop')) properties.push(current);
+            if (!current.hasAttribute('itemscope')) pending.push(...current.children);
+        }
+
+        return properties.sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+    };
+
+    const parseItem = (element, memory) => {
+        memory.add(element);
+        const item = {};
+        const types = splitTokens(element.getAttribute('itemtype'));
+
+        if (types.length > 0) {
+            item['@context'] = schemaOrgPattern.test(types[0])
+                ? 'https://schema.org'
+                : types[0].replace(/[^\/#]*$/, '');
+            const shortTypes = types.map(shortenTerm);
+            item['@type'] = shortTypes.length === 1 ? shortTypes[0] : shortTypes;
+        }
+
+        if (element.hasAttribute('itemid')) {
+            item['@id'] = resolveUrl(element.getAttribute('itemid').trim());
+        }
+
+        collectProperties(element).forEach(propertyElement => {
+            let value;
+            if (propertyElement.hasAttribute('itemscope')) {
+                value = memory.has(propertyElement)
+                    ? { '@type': 'Thing' }
+                    : parseItem(propertyElement, new Set(memory));
+                delete value['@context'];
+            } else {
+                value = getPropertyValue(propertyElement);
+            }
+
+            splitTokens(propertyElement.getAttribute('itemprop')).forEach(name => {
+                const key = shortenTerm(name);
+                if (!(key in item)) {
+                    item[key] = value;
+                } else if (Array.isArray(item[key])) {
+                    item[key].push(value);
+                } else {
+                    item[key] = [item[key], value];
+                }
+            });
+        });
+
+        return item;
+    };
+
+    const items = [];
+    document.querySelectorAll('[itemscope]:not([itemprop])').forEach((element, index) => {
+        const item = parseItem(element, new Set());
+        if (!item['@type']) return;
+
+        items.push({
+            ...item,
+            _extractedFrom: {
+                syntax: 'microdata',
+                itemIndex: index,
+                location: `Microdata item ${index + 1}`
+            }
+        });
+    });
+
+    return items;
+}
+
+// Convert RDFa Lite typeof/property markup into JSON-LD shaped objects
+function extractRdfaItems() {
+    const schemaOrgPattern = /^https?:\/\/schema\.org\//i;
+    const initialPrefixes = {
+        schema: 'http://schema.org/',
+        og: 'http://ogp.me/ns#',
+        dc: 'http://purl.org/dc/terms/',
+        dcterms: 'http://purl.org/dc/terms/',
+        foaf: 'http://xmlns.com/foaf/0.1/'
+    };
+    const urlAttributes = {
+        A: 'href', AREA: 'href', LINK: 'href',
+        AUDIO: 'src', EMBED: 'src', IFRAME: 'src', IMG: 'src',
+        SOURCE: 'src', TRACK: 'src', VIDEO: 'src', OBJECT: 'data'
+    };
+
+    const splitTokens = (value) => (value || '').trim().split(/\s+/).filter(Boolean);
+    const shortenTerm = (term) => term.replace(schemaOrgPattern, '');
+    const resolveUrl = (value) => {
+        try {
+            return new URL(value, document.baseURI).href;
+        } catch (e) {
+            return value;
+        }
+    };
+
+    const resolveTerm = (term, context) => {
+        if (/^https?:\/\//i.test(term)) return shortenTerm(term);
+
+        const colonIndex = term.indexOf(':');
+        if (colonIndex > 0) {
+            const prefix = term.substring(0, colonIndex);
+            return context.prefixes[prefix]
+                ? shortenTerm(context.prefixes[prefix] + term.substring(colonIndex + 1))
+                : term;
+        }
+
+        return context.vocab ? shortenTerm(context.vocab + term) : null;
+    };
+
+    const parsePrefixes = (value) => {
+        const prefixes = {};
+        const pattern = /([\w-]+):\s+(\S+)/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            prefixes[match[1]] = match[2];
+        }
+        return prefixes;
+    };
+
+    const getPropertyValue = (element) => {
+        if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+        if (element.hasAttribute('resource')) return resolveUrl(element.getAttribute('resource').trim());
+        const urlAttribute = urlAttributes[element.tagName];
+        if (urlAttribute && element.getAttribute(urlAttribute)) {
+            return resolveUrl(element.getAttribute(urlAttribute).trim());
+        }
+        if (element.tagName === 'TIME' && element.hasAttribute('datetime')) {
+            return element.getAttribute('datetime').trim();
+        }
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+
+    const addValue = (item, name, value) => {
+        if (!(name in item)) {
+            item[name] = value;
+        } else if (Array.isArray(item[name])) {
+            item[name].push(value);
+        } else {
+            item[name] = [item[name], value];
+        }
+    };
+
+    const items = [];
+
+    const walk = (element, parentContext) => {
+        const context = { ...parentContext };
+
+        if (element.hasAttribute('vocab')) {
+            context.vocab = element.getAttribute('vocab').trim() || null;
+        }
+        if (element.hasAttribute('prefix')) {
+            context.prefixes = { ...context.prefixes, ...parsePrefixes(element.getAttribute('prefix')) };
+        }
+
+        const properties = splitTokens(element.getAttribute('property'))
+            .map(term => resolveTerm(term, context))
+            .filter(Boolean);
+
+        if (element.hasAttribute('typeof')) {
+            const isPropertyValue = properties.length > 0 && parentContext.subject !== null;
+            const types = splitTokens(element.getAttribute('typeof'))
+                .map(term => resolveTerm(term, context))
+                .filter(Boolean);
+            const node = {};
+
+            if (!isPropertyValue) {
+                const usesSchemaOrg = types.some(type => !type.includes(':')) ||
+                    (context.vocab && schemaOrgPattern.test(context.vocab));
+                node['@context'] = usesSchemaOrg ? 'https://schema.org' : context.vocab;
+            }
+            if (types.length > 0) {
+                node['@type'] = types.length === 1 ? types[0] : types;
+            }
+
+            let id = element.getAttribute('resource');
+            if (id === null && properties.length === 0) {
+                id = element.getAttribute('href') || element.getAttribute('src');
+            }
+            if (id) node['@id'] = resolveUrl(id.trim());
+
+            if (isPropertyValue) {
+                properties.forEach(property => addValue(parentContext.subject, property, node));
+            } else {
+                items.push(node);
+            }
+            context.subject = node;
+        } else if (properties.length > 0 && parentContext.subject) {
+            const value = getPropertyValue(element);
+            properties.forEach(property => addValue(parentContext.subject, property, value));
+        }
+
+        Array.from(element.children).forEach(child => walk(child, context));
+    };
+
+    walk(document.documentElement, { vocab: null, prefixes: { ...initialPrefixes }, subject: null });
+
+    return items.filter(item => item['@type']).map((item, index) => ({
+        ...item,
+        _extractedFrom: {
+            syntax: 'rdfa',
+            itemIndex: index,
+            location: `RDFa item ${index + 1}`
+        }
+    }));
+}
+
 // NEW: Extract page title using multiple methods
 function extractPageTitle() {
     console.log('Extracting page title...');
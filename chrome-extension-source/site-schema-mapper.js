@@ -16,6 +16,10 @@ class SiteSchemaMapper {
         this.onError = null;
         this.failedUrls = new Set(); // Track failed URLs
         this.discoveryMethods = ['links', 'sitemap', 'robots', 'common']; // Multiple discovery strategies
+        this.robotsAgent = 'schema-web-analyzer'; // Product token matched against robots.txt User-agent lines
+        this.robots = null; // Rules for our agent from robots.txt
+        this.ignoreRobots = false; // Only for sites we own
+        this.robotsSkipped = new Map(); // URL -> rule that disallowed it
     }
 
     /**
@@ -26,6 +30,7 @@ class SiteSchemaMapper {
         
         this.maxPages = options.maxPages || 50;
         this.crawlDelay = options.crawlDelay || 1000;
+        this.ignoreRobots = options.ignoreRobots === true;
         this.onProgress = options.onProgress;
         this.onComplete = options.onComplete;
         this.onError = options.onError;
@@ -38,6 +43,13 @@ class SiteSchemaMapper {
             const baseUrl = new URL(startUrl).origin;
             this.scanQueue.push(startUrl);
             
+            // robots.txt decides what may be fetched and how fast
+            await this.loadRobots(baseUrl);
+            if (!this.ignoreRobots && this.robots.crawlDelay !== null) {
+                this.crawlDelay = this.robots.crawlDelay * 1000;
+                console.log(`🐢 Using robots.txt Crawl-delay of ${this.robots.crawlDelay}s`);
+            }
+            
             // Initial discovery phase - find as many URLs as possible
             await this.discoverUrls(startUrl, baseUrl);
             
@@ -59,7 +71,16 @@ class SiteSchemaMapper {
                 discoveryStats: {
                     queued: this.scanQueue.length,
                     failed: this.failedUrls.size,
-                    scanned: this.scannedUrls.size
+                    scanned: this.scannedUrls.size,
+                    skippedByRobots: this.robotsSkipped.size
+                },
+                robots: {
+                    ignored: this.ignoreRobots,
+                    unreachable: this.robots.unreachable,
+                    userAgent: this.robots.userAgent,
+                    crawlDelay: this.robots.crawlDelay,
+                    sitemaps: this.robots.sitemaps,
+                    skipped: Array.from(this.robotsSkipped.entries()).map(([url, rule]) => ({ url, rule }))
                 }
             };
             
@@ -88,7 +109,7 @@ class SiteSchemaMapper {
         // Method 2: Try to find and parse sitemap.xml
         await this.discoverFromSitemap(baseUrl);
         
-        // Method 3: Check robots.txt for sitemaps
+        // Method 3: Follow sitemaps listed in robots.txt
         await this.discoverFromRobots(baseUrl);
         
         // Method 4: Add common page patterns
@@ -101,6 +122,8 @@ class SiteSchemaMapper {
      * Discover URLs from the starting page using content script injection
      */
     async discoverFromPage(url, baseUrl) {
+        if (!this.isAllowedByRobots(url)) return;
+        
         try {
             console.log('📄 Discovering URLs from page:', url);
             
@@ -255,30 +278,148 @@ class SiteSchemaMapper {
     }
 
     /**
-     * Check robots.txt for sitemap references
+     * Fetch robots.txt and keep the rules for our agent
+     * A missing file allows everything; a server error or no answer disallows everything (RFC 9309)
      */
-    async discoverFromRobots(baseUrl) {
+    async loadRobots(baseUrl) {
         try {
-            console.log('🤖 Checking robots.txt for sitemaps');
-            const robotsUrl = `${baseUrl}/robots.txt`;
-            const response = await this.fetchWithTimeout(robotsUrl, 5000);
+            console.log('🤖 Checking robots.txt');
+            const response = await this.fetchWithTimeout(`${baseUrl}/robots.txt`, 5000);
             
-            if (response.ok) {
-                const text = await response.text();
-                const sitemapMatches = text.match(/Sitemap:\s*(.+)/gi);
-                
-                if (sitemapMatches) {
-                    for (const match of sitemapMatches) {
-                        const sitemapUrl = match.replace(/Sitemap:\s*/i, '').trim();
-                        console.log('📍 Found sitemap in robots.txt:', sitemapUrl);
-                        
-                        // Recursively check this sitemap
-                        await this.discoverFromSitemap(new URL(sitemapUrl).origin);
-                    }
-                }
+            if (response.status >= 500) {
+                this.robots = this.parseRobots('', `robots.txt returned ${response.status}`);
+            } else {
+                this.robots = this.parseRobots(response.ok ? await response.text() : '');
             }
         } catch (error) {
             console.warn('⚠️ Could not check robots.txt:', error.message);
+            this.robots = this.parseRobots('', `robots.txt unreachable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse robots.txt into the group for our agent: the most specific matching User-agent, else "*"
+     * Groups naming the same agent are merged; Sitemap lines apply to the whole file
+     */
+    parseRobots(text, unreachable = null) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+        
+        text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            
+            const key = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+            
+            if (key === 'user-agent') {
+                if (!current || !lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+            lastWasAgent = false;
+            
+            if (key === 'sitemap') {
+                if (value) sitemaps.push(value);
+            } else if ((key === 'allow' || key === 'disallow') && current && value) {
+                current.rules.push({ directive: key === 'allow' ? 'Allow' : 'Disallow', pattern: value, line: index + 1 });
+            } else if (key === 'crawl-delay' && current) {
+                const seconds = parseFloat(value);
+                if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+            }
+        });
+        
+        const userAgent = groups
+            .flatMap(group => group.agents)
+            .filter(agent => agent !== '*' && this.robotsAgent.startsWith(agent))
+            .sort((a, b) => b.length - a.length)[0] || '*';
+        const selected = groups.filter(group => group.agents.includes(userAgent));
+        const delays = selected.map(group => group.crawlDelay).filter(delay => delay !== null);
+        
+        return {
+            userAgent: selected.length > 0 ? userAgent : null,
+            rules: selected.flatMap(group => group.rules),
+            crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+            sitemaps,
+            unreachable
+        };
+    }
+
+    /**
+     * Check a URL against robots.txt, remembering the rule that blocked it
+     * The longest matching pattern wins and Allow wins a tie
+     */
+    isAllowedByRobots(url) {
+        if (this.ignoreRobots || !this.robots) return true;
+        
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            return false;
+        }
+        if (target.pathname === '/robots.txt') return true;
+        
+        let winner = null;
+        if (this.robots.unreachable) {
+            winner = { directive: 'Disallow', pattern: '/', line: null, reason: this.robots.unreachable };
+        } else {
+            const path = `${target.pathname}${target.search}`;
+            this.robots.rules.forEach(rule => {
+                if (!this.robotsPatternMatches(rule.pattern, path)) return;
+                
+                if (!winner ||
+                    rule.pattern.length > winner.pattern.length ||
+                    (rule.pattern.length === winner.pattern.length && rule.directive === 'Allow')) {
+                    winner = rule;
+                }
+            });
+        }
+        
+        const allowed = !winner || winner.directive === 'Allow';
+        if (!allowed && !this.robotsSkipped.has(url)) {
+            console.log(`🚫 Skipping ${url}: disallowed by robots.txt (${winner.directive}: ${winner.pattern})`);
+            this.robotsSkipped.set(url, { user_agent: this.robots.userAgent, ...winner });
+        }
+        return allowed;
+    }
+
+    /**
+     * robots.txt patterns match from the start of the path; "*" matches anything and a trailing "$" anchors the end
+     */
+    robotsPatternMatches(pattern, path) {
+        const anchored = pattern.endsWith('$');
+        const body = (anchored ? pattern.slice(0, -1) : pattern)
+            .replace(/[^\x21-\x7e]/g, character => encodeURIComponent(character))
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        
+        return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+    }
+
+    /**
+     * Follow the Sitemap lines of robots.txt
+     */
+    async discoverFromRobots(baseUrl) {
+        if (!this.robots) return;
+        
+        for (const sitemapUrl of this.robots.sitemaps) {
+            try {
+                console.log('📍 Found sitemap in robots.txt:', sitemapUrl);
+                
+                // Recursively check this sitemap
+                await this.discoverFromSitemap(new URL(sitemapUrl).origin);
+            } catch (error) {
+                console.warn(`⚠️ Could not use sitemap ${sitemapUrl}:`, error.message);
+            }
         }
     }
 
@@ -344,7 +485,7 @@ class SiteSchemaMapper {
         while (this.scanQueue.length > 0 && this.scannedUrls.size < this.maxPages && this.isScanning) {
             const url = this.scanQueue.shift();
             
-            if (this.scannedUrls.has(url) || this.failedUrls.has(url)) {
+            if (this.scannedUrls.has(url) || this.failedUrls.has(url) || !this.isAllowedByRobots(url)) {
                 continue;
             }
             
@@ -894,6 +1035,8 @@ class SiteSchemaMapper {
         this.scanQueue = [];
         this.scannedUrls.clear();
         this.failedUrls.clear();
+        this.robots = null;
+        this.robotsSkipped.clear();
     }
 
     /**
@@ -43,14 +43,16 @@ const crawler = {
     maxPages: 50,
     maxDepth: 3,
     crawlDelay: 1000, // 1 second between requests
+    maxCrawlDelay: 30000, // Longest robots.txt Crawl-delay honored; longer ones are capped
     timeout: 30000,   // 30 seconds per page
+    maxConcurrent: 3, // Pages a site scan fetches at once
     
     // User agent for requests
     userAgent: 'Schema-Web-Analyzer/1.0 (compatible; Schema markup analyzer)',
     
     // Puppeteer settings
     puppeteer: {
-        headless: true,
+        headless: 'new',
         args: [
             '--no-sandbox',
             '--disable-setuid-sandbox',
@@ -58,11 +60,88 @@ const crawler = {
             '--disable-accelerated-2d-canvas',
             '--no-first-run',
             '--no-zygote',
-            '--single-process',
             '--disable-gpu'
         ],
         timeout: 30000
     },
+
+    // How long the browser waits after the load event for late-injected schema; requests may pick another strategy
+    wait: {
+        defaultStrategy: 'network_idle',  // network_idle | selector | jsonld_stable | delay
+        timeout: 15000,                   // Longest wait; the page is analyzed as it stands afterwards
+        maxTimeout: 60000,                // Largest timeout_ms, delay_ms or stable_ms a request may ask for
+        networkIdleTime: 500,             // network_idle: no requests for this long
+        jsonLdStableFor: 1500,            // jsonld_stable: script count unchanged for this long
+        jsonLdPollInterval: 100,
+        delay: 2000                       // delay: fixed wait
+    },
+
+    // Page fetcher (api/services/pageFetcher.js) used by every route and crawler
+    fetcher: {
+        // auto = render in the browser, fall back to plain HTTP
+        defaultStrategy: process.env.FETCH_STRATEGY || 'auto',
+        // HAR files the replay strategy may read
+        replayDir: process.env.REPLAY_ARCHIVE_DIR || path.join(__dirname, 'data', 'archives')
+    },
+
+    // Sitemap reader (api/services/sitemapReader.js): sitemaps are streamed, so these bound work rather than memory
+    sitemaps: {
+        maxUrls: parseInt(process.env.SITEMAP_MAX_URLS, 10) || 100000, // URL entries read per scan, across all sitemaps
+        maxSitemaps: 500,                                                // Sitemap files read per scan, indexes included
+        maxDepth: 3,                                                     // Nested sitemap indexes followed
+        timeout: 30000                                                   // Per sitemap file
+    },
+
+    // URL canonicalization for site scans (api/services/urlCanonicalizer.js); a scan may override any of it with canonicalization
+    canonicalization: {
+        allowParams: [],                  // When not empty, only these query parameters are kept
+        denyParams: [                     // Dropped query parameters; "utm_*" matches a prefix
+            'utm_*', 'gclid', 'dclid', 'fbclid', 'msclkid', 'yclid', 'igshid',
+            'mc_cid', 'mc_eid', '_ga', '_gl', 'phpsessid', 'jsessionid', 'sessionid'
+        ],
+        trailingSlash: 'remove',          // remove | add | keep
+        defaultDocuments: ['index.html', 'index.htm', 'index.php', 'default.htm', 'default.html', 'default.asp', 'default.aspx'],
+        followCanonical: false            // Collapse pages whose rel=canonical names another page of the site
+    },
+
+    // Requests the browser skips while rendering; a scan picks a profile with render_profile
+    interception: {
+        defaultProfile: process.env.RENDER_PROFILE || 'fast',
+        profiles: {
+            // Only what can carry or inject structured data; stylesheets stay so visibility checks hold
+            fast: { blockResourceTypes: ['image', 'media', 'font'], blockDomains: true },
+            // Everything, as a visitor's browser would load it
+            faithful: { blockResourceTypes: [], blockDomains: false }
+        },
+        // Ads, analytics and chat widgets; subdomains are matched too
+        blockedDomains: [
+            'doubleclick.net',
+            'googlesyndication.com',
+            'googleadservices.com',
+            'adservice.google.com',
+            'google-analytics.com',
+            'analytics.google.com',
+            'connect.facebook.net',
+            'hotjar.com',
+            'clarity.ms',
+            'segment.io',
+            'mixpanel.com',
+            'intercom.io',
+            'intercomcdn.com',
+            'drift.com',
+            'zdassets.com',
+            'tawk.to',
+            'crisp.chat',
+            'livechatinc.com'
+        ],
+        // Scripts from these domains inject schema (tag managers, schema services) and are never blocked
+        keepScriptDomains: [
+            'googletagmanager.com',
+            'schemaapp.com',
+            'yextapis.com',
+            'wordlift.io'
+        ]
+    },
     
     // URL filtering patterns (from original code)
     skipPatterns: [
@@ -230,6 +309,23 @@ const schema = {
         ]
     },
     
+    // Pinned schema.org vocabulary snapshot (data/vocabulary/{version}.json) used for validation
+    vocabulary: {
+        version: process.env.SCHEMA_VOCABULARY_VERSION || 'schema-dts-2.0.0',
+        dir: path.join(__dirname, 'data', 'vocabulary')
+    },
+
+    // Declarative rich-result eligibility rules (data/rich-results/{ruleSet}.json)
+    richResults: {
+        ruleSet: process.env.RICH_RESULTS_RULE_SET || 'google',
+        dir: path.join(__dirname, 'data', 'rich-results')
+    },
+
+    // House rule plugins (*.json / *.js) run on every analysis
+    customRules: {
+        dir: process.env.CUSTOM_RULES_DIR || path.join(__dirname, 'data', 'templates', 'rules')
+    },
+
     // Reference properties for entity connections
     referenceProperties: [
         'author', 'editor', 'publisher', 'creator',
@@ -290,6 +386,22 @@ const storage = {
     scansDir: path.join(__dirname, '..', 'data', 'scans'),
     cacheDir: path.join(__dirname, '..', 'data', 'cache'),
     templatesDir: path.join(__dirname, '..', 'data', 'templates'),
+
+    // Accepted issues and baselines, one file per site
+    suppressions: {
+        dir: process.env.SUPPRESSIONS_DIR || path.join(__dirname, 'data', 'suppressions')
+    },
+
+    // Last fetch of every scanned URL (validators, JSON-LD hash, page result) for incremental re-scans
+    pageCache: {
+        dir: process.env.PAGE_CACHE_DIR || path.join(__dirname, 'data', 'cache', 'pages')
+    },
+
+    // Frontier and finished pages of running site scans, so they survive a restart
+    crawls: {
+        dir: process.env.CRAWL_STATE_DIR || path.join(__dirname, 'data', 'crawls'),
+        checkpointInterval: 5000 // Longest time between queue snapshots; pages are saved as they finish
+    },
     
     // File naming patterns
     scanFilePattern: '{scan_id}.json',
@@ -355,7 +467,16 @@ const performance = {
     
     // Concurrent processing limits
     maxConcurrentScans: 3,
-    maxConcurrentPages: 5,
+    maxConcurrentPages: 5,     // Pages open at once in each pooled browser
+    
+    // Shared Puppeteer browsers (api/services/browserPool.js)
+    browserPool: {
+        browsers: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2,
+        recycleAfterPages: 100,     // Relaunch a browser after this many pages
+        maxMemoryGrowthMB: 512,     // ...or once it has grown this much since launch
+        healthCheckInterval: 30000,
+        acquireTimeout: 60000       // Longest a request waits for a free page
+    },
     
     // Timeout settings
     timeouts: {
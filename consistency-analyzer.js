@@ -1,16 +1,22 @@
 // consistency-analyzer.js - Schema @id Consistency Analyzer
 // מבוסס על הקוד המתקדם מ-results.js
 
+const SchemaNormalizer = require('./api/services/schemaNormalizer');
+const IssueCatalog = require('./api/services/issueCatalog');
+
 /**
  * ConsistencyAnalyzer - מנוע ניתוח עקביות @id values
  * מיושם בהתבסס על הlogic המתקדם מהקוד המקורי
  */
 class ConsistencyAnalyzer {
     constructor() {
+        this.normalizer = new SchemaNormalizer();
+        this.issues = new IssueCatalog();
         this.idGroups = new Map(); // @id -> array של instances
         this.typeGroups = new Map(); // @type -> Set של @ids
         this.consistentIds = new Map(); // @id -> usage count
         this.inconsistentTypes = new Map(); // @type -> array של @ids שונים
+        this.propertyConflicts = []; // @id -> properties שערכיהן שונים בין העמודים
         this.bestPracticeScore = 0;
         this.scoreBreakdown = [];
         this.scoreSummary = {};
@@ -44,11 +50,15 @@ class ConsistencyAnalyzer {
         
         this.reset();
         
+        // נרמול @graph ו-entities מקוננים לפני הניתוח
+        schemas = this.normalizer.normalize(schemas);
+        
         const analysis = {
             idGroups: new Map(),
             typeGroups: new Map(),
             consistentIds: new Map(),
             inconsistentTypes: new Map(),
+            propertyConflicts: [],
             bestPracticeScore: 0,
             recommendations: [],
             scoreBreakdown: [],
@@ -63,6 +73,7 @@ class ConsistencyAnalyzer {
 
         // Generate analysis results
         this.findInconsistentTypes();
+        this.findPropertyConflicts();
         this.scoreBreakdown = this.calculateConsistencyScore(schemas);
         this.recommendations = this.generateConsistencyRecommendations(schemas);
         
@@ -71,6 +82,7 @@ class ConsistencyAnalyzer {
         analysis.typeGroups = new Map(this.typeGroups);
         analysis.consistentIds = new Map(this.consistentIds);
         analysis.inconsistentTypes = new Map(this.inconsistentTypes);
+        analysis.propertyConflicts = this.propertyConflicts;
         analysis.bestPracticeScore = this.bestPracticeScore;
         analysis.recommendations = this.recommendations;
         analysis.scoreBreakdown = this.scoreBreakdown;
@@ -146,6 +158,97 @@ class ConsistencyAnalyzer {
         });
     }
 
+    /**
+     * השוואת התוכן של כל ה-instances שחולקים @id
+     * כל property עם ערכים שונים (או שחסרה בחלק מהעמודים) מדווחת יחד עם העמודים שנושאים כל ערך,
+     * וההגדרה הקנונית המוצעת לוקחת לכל property את ערך הרוב, או את הערך מההגדרה השלמה ביותר בתיקו
+     */
+    findPropertyConflicts() {
+        this.idGroups.forEach((instances, schemaId) => {
+            // References like { "@type": "Organization", "@id": "..." } declare nothing to compare
+            const definitions = instances
+                .filter(instance => this.getComparableProperties(instance.schema).length > 0)
+                .sort((a, b) => this.getComparableProperties(b.schema).length - this.getComparableProperties(a.schema).length);
+            if (definitions.length < 2) return;
+
+            const properties = [...new Set(['@type', ...definitions.flatMap(instance => this.getComparableProperties(instance.schema))])]
+                .filter(property => definitions.some(instance => property in instance.schema));
+            const canonical = { '@id': schemaId };
+            const conflicts = [];
+
+            properties.forEach(property => {
+                const variants = new Map();
+                const missingOn = [];
+
+                definitions.forEach(instance => {
+                    if (!(property in instance.schema)) {
+                        if (!missingOn.includes(instance.pageUrl)) missingOn.push(instance.pageUrl);
+                        return;
+                    }
+
+                    const key = this.serializeValue(instance.schema[property]);
+                    if (!variants.has(key)) {
+                        // Definitions are sorted most complete first, so the first carrier is the most complete one
+                        variants.set(key, { value: instance.schema[property], pages: [], count: 0, rank: variants.size });
+                    }
+                    const variant = variants.get(key);
+                    variant.count++;
+                    if (!variant.pages.includes(instance.pageUrl)) variant.pages.push(instance.pageUrl);
+                });
+
+                const ranked = Array.from(variants.values()).sort((a, b) => b.count - a.count || a.rank - b.rank);
+                const [suggested, runnerUp] = ranked;
+                canonical[property] = suggested.value;
+
+                if (ranked.length === 1 && missingOn.length === 0) return;
+
+                conflicts.push({
+                    property,
+                    values: ranked.map(({ value, pages }) => ({ value, pages })),
+                    missingOn,
+                    suggested: suggested.value,
+                    reason: suggested.count > Math.max(runnerUp ? runnerUp.count : 0, missingOn.length) ? 'majority' : 'most_complete'
+                });
+            });
+
+            if (conflicts.length > 0) {
+                this.propertyConflicts.push({
+                    id: schemaId,
+                    type: definitions[0].type,
+                    pages: [...new Set(definitions.map(instance => instance.pageUrl))],
+                    conflicts,
+                    canonical
+                });
+            }
+        });
+    }
+
+    /**
+     * Properties שההגדרה מצהירה עליהן: בלי @id, @type, @context ו-metadata של החילוץ
+     */
+    getComparableProperties(schema) {
+        return Object.keys(schema).filter(key =>
+            key !== '@id' && key !== '@context' && key !== '@type' && !key.startsWith('_')
+        );
+    }
+
+    /**
+     * ייצוג יציב של ערך להשוואה: סדר המפתחות וסדר הפריטים במערך (למשל sameAs) לא משנים
+     */
+    serializeValue(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.serializeValue(item)).sort().join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(key => !key.startsWith('_'))
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${this.serializeValue(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
     /**
      * חישוב ציון עקביות
      * מבוסס על calculateIdConsistencyScore מהקוד המקורי
@@ -270,64 +373,91 @@ class ConsistencyAnalyzer {
         const baseUrl = this.extractBaseUrl(schemas);
         
         // Check for schemas without @id
-        const schemasWithoutId = schemas.filter(schema => {
-            const cleanSchema = { ...schema };
-            delete cleanSchema._siteMapperInfo;
-            return !cleanSchema['@id'];
+        schemas.filter(schema => !schema['@id']).forEach(schema => {
+            const schemaType = [].concat(schema['@type'] || [])[0] || 'WebPageElement';
+            recommendations.push(this.issues.create('id.missing', {
+                ...this.issues.locate(schema),
+                message: `${schemaType} is missing an @id. Add consistent @id values using the pattern "schema:EntityType".`,
+                fix: `"@id": "schema:${schemaType}"`,
+                context: { remediation: this.generateMissingIdFix([schema]) }
+            }));
         });
         
-        if (schemasWithoutId.length > 0) {
-            recommendations.push({
-                type: 'Missing @id',
-                level: 'high',
-                message: `${schemasWithoutId.length} schemas are missing @id properties. Add consistent @id values using the pattern "schema:EntityType".`,
-                example: '"@id": "schema:WebPageElement"',
-                affectedSchemas: schemasWithoutId.length,
-                fix: this.generateMissingIdFix(schemasWithoutId)
-            });
-        }
-        
         // Check for inconsistent @type usage with dynamic examples
         this.inconsistentTypes.forEach((ids, schemaType) => {
             const badExample = ids.find(id => !this.isGoodPattern(id)) || ids[0];
-            recommendations.push({
-                type: 'Inconsistent @id Usage',
-                level: 'high',
+            recommendations.push(this.issues.create('id.inconsistent', {
+                entity: { type: schemaType, id: null },
                 message: `The schema type "${schemaType}" uses ${ids.length} different @id values. Use a single consistent @id across all pages.`,
-                example: `"@id": "schema:${schemaType}"`,
-                details: `Found @ids: ${ids.join(', ')}`,
-                badExample: `"@id": "${badExample}"`,
-                affectedSchemas: ids.length,
-                fix: this.generateInconsistencyFix(schemaType, ids)
-            });
+                fix: `"@id": "schema:${schemaType}"`,
+                context: {
+                    ids,
+                    current: `"@id": "${badExample}"`,
+                    remediation: this.generateInconsistencyFix(schemaType, ids)
+                }
+            }));
         });
         
         // Check for non-standard @id patterns with dynamic examples
         this.idGroups.forEach((instances, schemaId) => {
             if (!this.isGoodPattern(schemaId)) {
                 const patternType = this.categorizeIdPattern(schemaId);
-                recommendations.push({
-                    type: 'Non-standard @id Pattern',
-                    level: patternType === 'bad' ? 'high' : 'medium',
+                recommendations.push(this.issues.create('id.non-standard-pattern', {
+                    severity: patternType === 'bad' ? 'high' : 'medium',
+                    entity: { type: instances[0].type, id: schemaId },
                     message: `The @id "${schemaId}" doesn't follow recommended patterns. ${this.getPatternAdvice(patternType)}`,
-                    example: `"@id": "schema:${instances[0].type}"`,
-                    badExample: `"@id": "${schemaId}"`,
-                    affectedSchemas: instances.length,
-                    fix: this.generatePatternFix(schemaId, instances[0].type)
-                });
+                    fix: `"@id": "schema:${instances[0].type}"`,
+                    context: {
+                        current: `"@id": "${schemaId}"`,
+                        pages: [...new Set(instances.map(instance => instance.pageUrl))],
+                        remediation: this.generatePatternFix(schemaId, instances[0].type)
+                    }
+                }));
             }
         });
         
+        // Copies of the same entity that drifted apart between pages
+        this.propertyConflicts.forEach(entity => {
+            entity.conflicts.forEach(conflict => {
+                const describe = value => {
+                    const text = JSON.stringify(value);
+                    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+                };
+                const pageCount = count => `${count} page${count === 1 ? '' : 's'}`;
+                const found = [
+                    ...conflict.values.map(variant => `${describe(variant.value)} on ${pageCount(variant.pages.length)}`),
+                    ...(conflict.missingOn.length > 0 ? [`missing on ${pageCount(conflict.missingOn.length)}`] : [])
+                ];
+
+                recommendations.push(this.issues.create('id.property-conflict', {
+                    severity: conflict.values.length > 1 ? 'medium' : 'low',
+                    entity: { type: entity.type, id: entity.id },
+                    // Relative to the entity, which sits at a different path on each page
+                    path: this.normalizer.appendPath('$', conflict.property),
+                    message: `"${conflict.property}" differs between the definitions of "${entity.id}": ${found.join(', ')}. ` +
+                        `Use the ${conflict.reason === 'majority' ? 'majority' : 'most complete'} value on every page.`,
+                    fix: `${JSON.stringify(conflict.property)}: ${JSON.stringify(conflict.suggested, null, 2)}`,
+                    context: {
+                        property: conflict.property,
+                        values: conflict.values,
+                        missing_on: conflict.missingOn,
+                        suggested: conflict.suggested,
+                        reason: conflict.reason,
+                        canonical: entity.canonical
+                    }
+                }));
+            });
+        });
+        
         // Positive reinforcement for good practices
         const goodPractices = [];
         this.idGroups.forEach((instances, schemaId) => {
             if (this.isGoodPattern(schemaId) && instances.length > 1) {
-                goodPractices.push({
-                    type: 'Excellent Consistency',
-                    level: 'success',
+                goodPractices.push(this.issues.create('id.consistent', {
+                    entity: { type: instances[0].type, id: schemaId },
                     message: `Great! The @id "${schemaId}" is used consistently across ${instances.length} pages.`,
-                    affectedSchemas: instances.length
-                });
+                    context: { pages: [...new Set(instances.map(instance => instance.pageUrl))] }
+                }));
             }
         });
         
@@ -605,6 +735,7 @@ class ConsistencyAnalyzer {
                     .filter(([type, ids]) => ids.size === 1),
                 inconsistentTypes: Array.from(this.inconsistentTypes.entries())
             },
+            propertyConflicts: this.propertyConflicts,
             recommendations: this.recommendations,
             scoreBreakdown: this.scoreBreakdown
         };
@@ -623,6 +754,7 @@ class ConsistencyAnalyzer {
             ),
             consistentIds: Object.fromEntries(this.consistentIds),
             inconsistentTypes: Object.fromEntries(this.inconsistentTypes),
+            propertyConflicts: this.propertyConflicts,
             bestPracticeScore: this.bestPracticeScore,
             recommendations: this.recommendations,
             scoreBreakdown: this.scoreBreakdown,
@@ -639,6 +771,7 @@ class ConsistencyAnalyzer {
         this.typeGroups.clear();
         this.consistentIds.clear();
         this.inconsistentTypes.clear();
+        this.propertyConflicts = [];
         this.bestPracticeScore = 0;
         this.scoreBreakdown = [];
         this.scoreSummary = {};
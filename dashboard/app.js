@@ -352,7 +352,7 @@ class SchemaAnalyzerApp {
         }
 
         // Issue Count
-        const highPriorityIssues = recommendations.filter(r => r.priority === 'high').length;
+        const highPriorityIssues = recommendations.filter(issue => issue.severity === 'high').length;
         document.getElementById('issueCount').textContent = highPriorityIssues;
         const issueDetails = document.getElementById('issueDetails');
         if (issueDetails) {
@@ -391,31 +391,33 @@ class SchemaAnalyzerApp {
             return;
         }
 
-        container.innerHTML = recommendations.map((rec, index) => `
-            <div class="recommendation-item ${rec.priority}" data-priority="${rec.priority}">
+        container.innerHTML = recommendations.map(issue => `
+            <div class="recommendation-item ${issue.severity}" data-priority="${issue.severity}" data-rule-id="${issue.rule_id}">
                 <div class="flex items-start justify-between mb-3">
                     <div class="flex-1">
                         <div class="flex items-center space-x-2 mb-1">
-                            <span class="priority-badge ${rec.priority}">${rec.priority.toUpperCase()}</span>
-                            <h3 class="font-medium text-gray-900">${rec.type}</h3>
+                            <span class="priority-badge ${issue.severity}">${issue.severity.toUpperCase()}</span>
+                            <h3 class="font-medium text-gray-900">${this.escapeHtml(issue.title)}</h3>
+                            <span class="text-xs font-mono text-gray-500">${issue.rule_id}</span>
                         </div>
-                        <p class="text-sm text-gray-700">${rec.message}</p>
-                        ${rec.details ? `<p class="text-xs text-gray-500 mt-1">${rec.details}</p>` : ''}
+                        <p class="text-sm text-gray-700">${this.escapeHtml(issue.message)}</p>
+                        ${issue.path ? `<p class="text-xs text-gray-500 mt-1 font-mono">${this.escapeHtml([issue.entity?.id, issue.location, issue.path].filter(Boolean).join(' • '))}</p>` : ''}
+                        ${issue.docs ? `<a href="${this.escapeHtml(issue.docs)}" target="_blank" rel="noopener" class="text-xs text-blue-600 hover:underline">Documentation ↗</a>` : ''}
                     </div>
                 </div>
                 
-                ${rec.example ? `
+                ${issue.fix ? `
                     <div class="mt-3">
                         <p class="text-xs font-medium text-gray-700 mb-2">Recommended fix:</p>
                         <div class="code-block fix">
-                            <pre><code>${this.escapeHtml(rec.example)}</code></pre>
+                            <pre><code>${this.escapeHtml(issue.fix)}</code></pre>
                         </div>
                         <div class="flex space-x-2 mt-2">
-                            <button onclick="app.copyToClipboard('${this.escapeForJs(rec.example)}', this)" 
+                            <button onclick="app.copyToClipboard('${this.escapeForJs(issue.fix)}', this)" 
                                     class="text-xs px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">
                                 📋 Copy Fix
                             </button>
-                            <button onclick="app.showSchemaModal('${this.escapeForJs(rec.type)}', '${this.escapeForJs(rec.example)}')" 
+                            <button onclick="app.showSchemaModal('${this.escapeForJs(issue.title)}', '${this.escapeForJs(issue.fix)}')" 
                                     class="text-xs px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700">
                                 👁️ View Details
                             </button>
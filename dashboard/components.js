@@ -5,71 +5,81 @@ class UIComponents {
     }
 
     /**
-     * Create recommendation card
+     * Create recommendation card for one issue (see api/services/issueCatalog.js)
      */
-    createRecommendationCard(recommendation, index) {
+    createRecommendationCard(issue, index) {
         const card = document.createElement('div');
         card.className = `recommendation-card border rounded-lg p-4 transition-all hover:shadow-md`;
-        card.dataset.recommendationLevel = recommendation.level;
+        card.dataset.severity = issue.severity;
+        card.dataset.ruleId = issue.rule_id;
+        card.dataset.category = issue.category;
         
-        const levelColors = {
+        const severityColors = {
             high: 'border-red-200 bg-red-50',
             medium: 'border-yellow-200 bg-yellow-50',
-            low: 'border-blue-200 bg-blue-50'
+            low: 'border-blue-200 bg-blue-50',
+            info: 'border-green-200 bg-green-50'
         };
         
-        const levelIcons = {
+        const severityIcons = {
             high: '🚨',
             medium: '⚠️',
-            low: 'ℹ️'
+            low: 'ℹ️',
+            info: '✅'
         };
         
-        card.className += ` ${levelColors[recommendation.level] || levelColors.low}`;
+        card.className += ` ${severityColors[issue.severity] || severityColors.low}`;
+        
+        const entity = issue.entity ? [issue.entity.type, issue.entity.id].filter(Boolean).join(' ') : '';
+        const current = issue.context?.current;
         
         card.innerHTML = `
             <div class="flex items-start justify-between mb-3">
                 <div class="flex items-center space-x-2">
-                    <span class="text-lg">${levelIcons[recommendation.level] || 'ℹ️'}</span>
-                    <h4 class="font-medium text-gray-900">${recommendation.type}</h4>
+                    <span class="text-lg">${severityIcons[issue.severity] || 'ℹ️'}</span>
+                    <h4 class="font-medium text-gray-900">${this.escapeHtml(issue.title)}</h4>
                 </div>
-                <span class="px-2 py-1 text-xs font-medium rounded-full ${this.getPriorityBadgeClass(recommendation.level)}">
-                    ${recommendation.level?.toUpperCase() || 'INFO'}
+                <span class="px-2 py-1 text-xs font-medium rounded-full ${this.getPriorityBadgeClass(issue.severity)}">
+                    ${issue.severity.toUpperCase()}
                 </span>
             </div>
             
-            <p class="text-sm text-gray-700 mb-3">${recommendation.message}</p>
+            <p class="text-sm text-gray-700 mb-3">${this.escapeHtml(issue.message)}</p>
             
-            ${recommendation.example ? `
+            ${issue.fix ? `
                 <div class="bg-white border rounded p-3 mb-3">
                     <div class="flex items-center space-x-2 mb-2">
                         <span class="text-green-600">✅</span>
                         <span class="text-xs font-medium text-gray-600">RECOMMENDED</span>
                     </div>
-                    <pre class="text-xs text-gray-800 overflow-x-auto"><code>${this.escapeHtml(recommendation.example)}</code></pre>
+                    <pre class="text-xs text-gray-800 overflow-x-auto"><code>${this.escapeHtml(issue.fix)}</code></pre>
                 </div>
             ` : ''}
             
-            ${recommendation.badExample ? `
+            ${current ? `
                 <div class="bg-red-50 border border-red-200 rounded p-3 mb-3">
                     <div class="flex items-center space-x-2 mb-2">
                         <span class="text-red-600">❌</span>
                         <span class="text-xs font-medium text-red-600">CURRENT (NEEDS FIX)</span>
                     </div>
-                    <pre class="text-xs text-red-800 overflow-x-auto"><code>${this.escapeHtml(recommendation.badExample)}</code></pre>
+                    <pre class="text-xs text-red-800 overflow-x-auto"><code>${this.escapeHtml(current)}</code></pre>
                 </div>
             ` : ''}
             
-            ${recommendation.details ? `
-                <p class="text-xs text-gray-500 mt-2">${recommendation.details}</p>
-            ` : ''}
+            <dl class="issue-details hidden text-xs text-gray-500 mt-2 space-y-1">
+                <div><dt class="inline font-medium">Rule:</dt> <dd class="inline font-mono">${this.escapeHtml(issue.rule_id)}</dd> (${this.escapeHtml(issue.category)})</div>
+                ${issue.page ? `<div><dt class="inline font-medium">Page:</dt> <dd class="inline">${this.escapeHtml(issue.page)}</dd></div>` : ''}
+                ${entity ? `<div><dt class="inline font-medium">Entity:</dt> <dd class="inline">${this.escapeHtml(entity)}</dd></div>` : ''}
+                ${issue.path ? `<div><dt class="inline font-medium">Path:</dt> <dd class="inline font-mono">${issue.location ? `${this.escapeHtml(issue.location)} ` : ''}${this.escapeHtml(issue.path)}</dd></div>` : ''}
+            </dl>
             
             <div class="flex items-center justify-between mt-4">
                 <span class="text-xs text-gray-500">
-                    ${recommendation.affectedSchemas ? `Affects ${recommendation.affectedSchemas} schema${recommendation.affectedSchemas === 1 ? '' : 's'}` : ''}
+                    ${issue.docs ? `<a href="${this.escapeHtml(issue.docs)}" target="_blank" rel="noopener" class="text-blue-600 hover:underline">Documentation ↗</a>` : ''}
                 </span>
                 <div class="flex space-x-2">
-                    ${recommendation.example ? `
-                        <button onclick="copyToClipboard('${this.escapeForJs(recommendation.example)}', this)" 
+                    ${issue.fix ? `
+                        <button onclick="copyToClipboard('${this.escapeForJs(issue.fix)}', this)" 
                                 class="px-3 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors">
                             📋 Copy Fix
                         </button>
@@ -309,14 +319,15 @@ class UIComponents {
     /**
      * Get priority badge classes
      */
-    getPriorityBadgeClass(level) {
+    getPriorityBadgeClass(severity) {
         const classes = {
             high: 'bg-red-100 text-red-800',
             medium: 'bg-yellow-100 text-yellow-800',
-            low: 'bg-blue-100 text-blue-800'
+            low: 'bg-blue-100 text-blue-800',
+            info: 'bg-green-100 text-green-800'
         };
         
-        return classes[level] || classes.low;
+        return classes[severity] || classes.low;
     }
 
     /**
@@ -440,7 +451,7 @@ window.toggleSchemaContent = function(index) {
 
 window.toggleDetails = function(button) {
     const card = button.closest('.recommendation-card');
-    const details = card.querySelector('.text-xs.text-gray-500');
+    const details = card.querySelector('.issue-details');
     
     if (details) {
         details.classList.toggle('hidden');
@@ -1,6 +1,9 @@
 // insights-generator.js - Advanced Schema Insights Generator
 // מייצר תובנות מתקדמות מבוססות על כל המידע שנאסף
 
+const RichResultsEvaluator = require('./api/services/richResultsEvaluator');
+const IssueCatalog = require('./api/services/issueCatalog');
+
 /**
  * InsightsGenerator - מנוע יצירת תובנות מתקדמות
  * משלב נתונים מכל המקורות ליצירת המלצות חכמות
@@ -11,6 +14,8 @@ class InsightsGenerator {
         this.patterns = new Map();
         this.opportunities = [];
         this.priorities = [];
+        this.richResultsEvaluator = new RichResultsEvaluator();
+        this.issues = new IssueCatalog();
         
         // Templates for schema improvements מבוסס על הקוד המקורי
         this.schemaTemplates = {
@@ -251,15 +256,25 @@ class InsightsGenerator {
         // הזדמנויות לschemas חדשים
         const missingSchemas = this.identifyMissingSchemas(data);
         missingSchemas.forEach(schema => {
-            opportunities.push({
-                type: 'missing_schema',
-                schemaType: schema.type,
-                impact: schema.impact,
-                effort: schema.effort,
-                description: schema.description,
-                implementation: schema.implementation,
-                roi: this.calculateROI(schema.impact, schema.effort)
-            });
+            opportunities.push(this.issues.create('coverage.missing-type', {
+                severity: schema.impact >= this.seoWeights.high ? 'medium' : 'low',
+                title: `Missing ${schema.type} Schema`,
+                entity: { type: schema.type, id: null },
+                message: schema.description,
+                fix: JSON.stringify({
+                    '@context': schema.implementation.context,
+                    '@type': schema.type,
+                    '@id': `schema:${schema.type}`
+                }, null, 2),
+                docs: `https://schema.org/${schema.type}`,
+                context: {
+                    impact: schema.impact,
+                    effort: schema.effort,
+                    roi: schema.roi,
+                    required: schema.implementation.required,
+                    recommended: schema.implementation.recommended
+                }
+            }));
         });
 
         // הזדמנויות לשיפור schemas קיימים
@@ -275,32 +290,18 @@ class InsightsGenerator {
         opportunities.push(...connectivityOpps);
 
         // מיון לפי ROI
-        return opportunities.sort((a, b) => (b.roi || 0) - (a.roi || 0));
+        return opportunities.sort((a, b) => (b.context?.roi || 0) - (a.context?.roi || 0));
     }
 
     /**
      * יצירת המלצות מסודרות לפי עדיפות
+     * בעיות קריטיות קודם, ואחריהן הזדמנויות לפי ROI
      */
     generatePrioritizedRecommendations(data) {
-        const recommendations = [];
-
-        // המלצות קריטיות
-        const criticalRecs = this.generateCriticalRecommendations(data);
-        recommendations.push(...criticalRecs);
-
-        // המלצות השפעה גבוהה
-        const highImpactRecs = this.generateHighImpactRecommendations(data);
-        recommendations.push(...highImpactRecs);
-
-        // המלצות מהירות (quick wins)
-        const quickWins = this.generateQuickWins(data);
-        recommendations.push(...quickWins);
-
-        // המלצות ארוכות טווח
-        const longTermRecs = this.generateLongTermRecommendations(data);
-        recommendations.push(...longTermRecs);
-
-        return this.prioritizeRecommendations(recommendations);
+        return this.issues.sort([
+            ...this.identifyCriticalIssues(data),
+            ...this.identifyOpportunities(data)
+        ]);
     }
 
     /**
@@ -332,16 +333,17 @@ class InsightsGenerator {
         allRecommendations.forEach(rec => {
             const timeframe = this.determineTimeframe(rec);
             const action = {
+                rule_id: rec.rule_id,
                 title: rec.title,
-                description: rec.description,
-                impact: rec.impact,
-                effort: rec.effort,
-                roi: rec.roi,
-                steps: rec.steps || [],
-                resources: rec.resources || [],
-                timeline: rec.timeline || timeframe,
-                dependencies: rec.dependencies || [],
-                successMetrics: rec.successMetrics || []
+                description: rec.message,
+                impact: rec.context?.impact,
+                effort: rec.context?.effort,
+                roi: rec.context?.roi,
+                steps: rec.fix ? [rec.fix] : [],
+                resources: rec.docs ? [rec.docs] : [],
+                timeline: timeframe,
+                dependencies: [],
+                successMetrics: []
             };
             
             actionPlan[timeframe].push(action);
@@ -460,32 +462,29 @@ class InsightsGenerator {
 
         // בעיות עקביות
         if (data.consistencyAnalysis?.bestPracticeScore < 50) {
-            issues.push({
-                type: 'consistency',
-                severity: 'critical',
-                description: 'Poor @id consistency across pages',
-                impact: 'Reduces schema effectiveness and entity relationships'
-            });
+            issues.push(this.issues.create('id.low-consistency', {
+                message: 'Poor @id consistency across pages reduces schema effectiveness and entity relationships',
+                context: { score: data.consistencyAnalysis.bestPracticeScore }
+            }));
         }
 
         // entities מבודדים
         if (data.entityAnalysis?.orphanedEntities > 0) {
-            issues.push({
-                type: 'connectivity',
+            issues.push(this.issues.create('relationships.orphaned-entity', {
                 severity: 'high',
-                description: `${data.entityAnalysis.orphanedEntities} orphaned entities found`,
-                impact: 'Missed opportunities for entity relationships'
-            });
+                title: 'Orphaned Entities',
+                message: `${data.entityAnalysis.orphanedEntities} orphaned entities found; missed opportunities for entity relationships`,
+                context: { count: data.entityAnalysis.orphanedEntities }
+            }));
         }
 
         // references שבורים
         if (data.entityAnalysis?.brokenConnections > 0) {
-            issues.push({
-                type: 'validation',
-                severity: 'critical',
-                description: `${data.entityAnalysis.brokenConnections} broken entity references`,
-                impact: 'Invalid schema markup that may be ignored by search engines'
-            });
+            issues.push(this.issues.create('relationships.broken-reference', {
+                title: 'Broken Entity References',
+                message: `${data.entityAnalysis.brokenConnections} broken entity references; invalid markup may be ignored by search engines`,
+                context: { count: data.entityAnalysis.brokenConnections }
+            }));
         }
 
         return issues;
@@ -676,26 +675,23 @@ class InsightsGenerator {
     identifyRichSnippetOpportunities(data) {
         const opportunities = [];
 
+        const opportunity = (snippetType, impact, message, requirements) => this.issues.create('rich-results.opportunity', {
+            title: `${snippetType} Rich Result Opportunity`,
+            entity: { type: snippetType, id: null },
+            message,
+            context: { impact, requirements }
+        });
+
         // Product rich snippets
         if (data.schemas?.some(s => s['@type'] === 'Product')) {
-            opportunities.push({
-                type: 'rich_snippet',
-                snippetType: 'Product',
-                impact: 9,
-                description: 'Enhance product schemas for rich snippet display',
-                requirements: ['offers', 'review', 'aggregateRating']
-            });
+            opportunities.push(opportunity('Product', 9, 'Enhance product schemas for rich snippet display',
+                ['offers', 'review', 'aggregateRating']));
         }
 
         // Article rich snippets
         if (data.schemas?.some(s => s['@type'] === 'Article')) {
-            opportunities.push({
-                type: 'rich_snippet',
-                snippetType: 'Article',
-                impact: 8,
-                description: 'Optimize article schemas for enhanced search display',
-                requirements: ['headline', 'image', 'author', 'datePublished']
-            });
+            opportunities.push(opportunity('Article', 8, 'Optimize article schemas for enhanced search display',
+                ['headline', 'image', 'author', 'datePublished']));
         }
 
         // FAQ rich snippets
@@ -703,13 +699,8 @@ class InsightsGenerator {
             s['@type'] === 'FAQPage' || s['@type'] === 'Question'
         );
         if (!hasQA) {
-            opportunities.push({
-                type: 'rich_snippet',
-                snippetType: 'FAQ',
-                impact: 7,
-                description: 'Add FAQ schema for question-based rich snippets',
-                requirements: ['mainEntity', 'Question', 'Answer']
-            });
+            opportunities.push(opportunity('FAQPage', 7, 'Add FAQ schema for question-based rich snippets',
+                ['mainEntity', 'Question', 'Answer']));
         }
 
         return opportunities;
@@ -717,8 +708,8 @@ class InsightsGenerator {
 
     // המשך methods נוספים...
     determineTimeframe(recommendation) {
-        const effort = recommendation.effort || 3;
-        const complexity = recommendation.complexity || 'medium';
+        const effort = recommendation.context?.effort || 3;
+        const complexity = recommendation.context?.complexity || 'medium';
         
         if (effort <= 2 && complexity === 'low') return 'immediate';
         if (effort <= 4 && complexity !== 'high') return 'shortTerm';
@@ -744,7 +735,7 @@ class InsightsGenerator {
                 name: 'Rich Snippet Coverage',
                 current: this.calculateRichSnippetCoverage(data),
                 target: 90,
-                measurement: 'Percentage of eligible pages with rich snippet schemas'
+                measurement: 'Percentage of rich-result candidate entities that meet eligibility requirements'
             },
             {
                 name: 'Schema Completeness',
@@ -756,15 +747,22 @@ class InsightsGenerator {
     }
 
     calculateRichSnippetCoverage(data) {
-        // חישוב כיסוי rich snippets
+        // חישוב כיסוי rich snippets לפי מנוע חוקי הזכאות
         if (!data.schemas || data.schemas.length === 0) return 0;
         
-        const richSnippetTypes = ['Product', 'Article', 'Recipe', 'Event', 'Review', 'FAQ'];
-        const implementedRichTypes = data.schemas.filter(s => 
-            richSnippetTypes.includes(s['@type'])
-        ).length;
+        const evaluation = data.richResults || this.richResultsEvaluator.evaluate(data.schemas);
+        
+        // ישות נחשבת מכוסה אם היא זכאית (גם עם אזהרות) לפחות לתוצאה עשירה אחת
+        const candidates = new Set(evaluation.entities.map(entity => entity.schema_index));
+        if (candidates.size === 0) return 0;
+        
+        const eligible = new Set(
+            evaluation.entities
+                .filter(entity => entity.status !== 'ineligible')
+                .map(entity => entity.schema_index)
+        );
         
-        return Math.round((implementedRichTypes / data.schemas.length) * 100);
+        return Math.round((eligible.size / candidates.size) * 100);
     }
 }
 
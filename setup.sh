@@ -17,7 +17,7 @@ fi
 
 # Create project directory structure
 echo "📁 Creating directory structure..."
-mkdir -p data/scans data/templates data/cache
+mkdir -p data/scans data/templates/rules data/cache data/suppressions data/archives data/crawls
 mkdir -p dashboard/assets/icons
 mkdir -p chrome-extension-source
 
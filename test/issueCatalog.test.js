@@ -0,0 +1,29 @@
+// test/issueCatalog.test.js - Rule IDs and their families
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const IssueCatalog = require('../api/services/issueCatalog');
+const SuppressionStore = require('../api/services/suppressionStore');
+
+const catalog = new IssueCatalog();
+
+test('a custom rule ID with dots belongs to the custom family', () => {
+    const issue = catalog.create('custom.acme.product-gtin13', { message: 'Products need a gtin13' });
+
+    assert.strictEqual(issue.rule_id, 'custom.acme.product-gtin13');
+    assert.strictEqual(issue.category, 'custom');
+    assert.strictEqual(issue.title, 'Custom Rule');
+});
+
+test('a rule ID outside every family is unknown', () => {
+    assert.throws(() => catalog.getRule('acme.product-gtin13'), /Unknown issue rule/);
+    assert.throws(() => catalog.getRule('custom.'), /Unknown issue rule/);
+});
+
+test('a suppression may name a custom rule ID with dots', () => {
+    const store = new SuppressionStore({ dir: os.tmpdir(), catalog });
+    const suppression = store.validate({ rule_id: 'custom.acme.product-gtin13', reason: 'Legacy catalog' });
+
+    assert.strictEqual(suppression.rule_id, 'custom.acme.product-gtin13');
+});
@@ -144,23 +144,49 @@ class URLUtils {
 
     /**
      * נרמול URL להשוואה
-     */
-    static normalizeUrl(url) {
+     * options.trailingSlash: 'remove' (ברירת מחדל), 'add' או 'keep'
+     * options.defaultDocuments: שמות קבצים שמוסרים מסוף הנתיב (index.html -> /)
+     * options.allowParams: אם לא ריק, רק פרמטרים אלה נשמרים; options.denyParams: פרמטרים שמוסרים
+     * שמות פרמטרים אינם תלויי רישיות, ו-"utm_*" תופס כל פרמטר שמתחיל ב-utm_
+     */
+    static normalizeUrl(url, options = {}) {
+        const {
+            trailingSlash = 'remove',
+            defaultDocuments = [],
+            allowParams = [],
+            denyParams = []
+        } = options;
+
         try {
             const parsed = new URL(url);
-            // Remove trailing slash, fragments, and some query params
+            // Fragments never name a different page; host case and default ports are normalized by URL itself
             parsed.hash = '';
             let pathname = parsed.pathname;
-            if (pathname.endsWith('/') && pathname.length > 1) {
+
+            const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+            if (lastSegment && defaultDocuments.some(doc => doc.toLowerCase() === lastSegment.toLowerCase())) {
+                pathname = pathname.slice(0, -lastSegment.length);
+            }
+
+            if (trailingSlash === 'remove' && pathname.endsWith('/') && pathname.length > 1) {
                 pathname = pathname.slice(0, -1);
+            } else if (trailingSlash === 'add' && !pathname.endsWith('/') && !/\.[a-z0-9]+$/i.test(pathname)) {
+                // Files (anything with an extension) keep their form
+                pathname += '/';
             }
             parsed.pathname = pathname;
             
             // Sort query parameters for consistent comparison
+            const matches = (key, names) => names.some(name => {
+                const pattern = name.toLowerCase();
+                return pattern.endsWith('*') ? key.toLowerCase().startsWith(pattern.slice(0, -1)) : key.toLowerCase() === pattern;
+            });
             const searchParams = new URLSearchParams(parsed.search);
             const sortedParams = new URLSearchParams();
-            [...searchParams.keys()].sort().forEach(key => {
-                sortedParams.append(key, searchParams.get(key));
+            [...new Set(searchParams.keys())].sort().forEach(key => {
+                if (allowParams.length > 0 && !matches(key, allowParams)) return;
+                if (matches(key, denyParams)) return;
+                searchParams.getAll(key).forEach(value => sortedParams.append(key, value));
             });
             parsed.search = sortedParams.toString();
             
@@ -534,6 +560,74 @@ class ValidationUtils {
         return phoneRegex.test(phone.replace(/[\s\-\(\)]/g, ''));
     }
 
+    /**
+     * בדיקת טלפון בפורמט בינלאומי (E.164) - קידומת מדינה עם +, מותר ריווח ומקפים
+     */
+    static isInternationalPhone(phone) {
+        if (typeof phone !== 'string') return false;
+        return /^\+[1-9]\d{6,14}$/.test(phone.replace(/[\s\-\(\)\.]/g, ''));
+    }
+
+    /**
+     * בדיקת תאריך ISO 8601 (תאריך או תאריך ושעה), כולל תאריכים שלא קיימים בלוח השנה
+     */
+    static isIsoDate(value) {
+        if (typeof value !== 'string') return false;
+
+        const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+        if (!match) return false;
+
+        // Date.parse מגלגל ימים כמו 2024-02-30 קדימה במקום לדחות אותם
+        const [year, month, day] = match.slice(1, 4).map(part => parseInt(part, 10));
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * בדיקת שעה ISO 8601 כמו 09:00 או 17:30:00+02:00
+     */
+    static isIsoTime(value) {
+        return typeof value === 'string' &&
+            /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value.trim());
+    }
+
+    /**
+     * בדיקת משך זמן ISO 8601 כמו PT1H30M
+     */
+    static isIsoDuration(value) {
+        return typeof value === 'string' &&
+            /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value.trim());
+    }
+
+    /**
+     * בדיקת URL מלא (http/https)
+     */
+    static isAbsoluteUrl(value) {
+        if (typeof value !== 'string' || /\s/.test(value.trim())) return false;
+        try {
+            return ['http:', 'https:'].includes(new URL(value.trim()).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * בדיקת קוד מטבע ISO 4217
+     */
+    static isCurrencyCode(value) {
+        if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value.trim())) return false;
+        if (typeof Intl.supportedValuesOf !== 'function') return true;
+        return Intl.supportedValuesOf('currency').includes(value.trim());
+    }
+
+    /**
+     * בדיקת ערך מספרי - ללא סימני מטבע או מפרידי אלפים
+     */
+    static isNumericValue(value) {
+        if (typeof value === 'number') return Number.isFinite(value);
+        return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim());
+    }
+
     /**
      * בדיקת תקינות Schema.org type
      */